@@ -19,19 +19,78 @@
       BOOKINGS: 'sb_bookings',
       BLOCKS: 'sb_blocks',
       SETTINGS: 'sb_settings',
-      MEDIA: 'sb_media'
-    }
+      MEDIA: 'sb_media',
+      STYLISTS: 'sb_stylists',
+      WAITLIST: 'sb_waitlist',
+      LEDGER: 'sb_ledger',
+      CUSTOMERS: 'sb_customers',
+      MESSAGES: 'sb_messages',
+      CALENDAR_FEED: 'sb_calendar_feed'
+    },
+    // Minutes late before the lateness policy applies, when settings don't set it
+    LATE_ARRIVAL_MINUTES: 15,
+    // How far ahead recurring events are expanded when importing an .ics file
+    ICS_IMPORT_MONTHS: 6,
+    // How far ahead repeating blocks are listed in the calendar feed
+    BLOCK_FEED_MONTHS: 12,
+    // Longest gap between weeks a repeating block allows
+    BLOCK_MAX_INTERVAL: 52,
+    // Schedule grid: pixels per hour, and the minutes a dragged block snaps to
+    SCHEDULE_HOUR_HEIGHT: 48,
+    SCHEDULE_SNAP_MINUTES: 15,
+    // Bookings panel rows per page, and the most GET /api/bookings returns at once
+    BOOKINGS_PAGE_SIZE: 25,
+    BOOKINGS_MAX_LIMIT: 100,
+    // Pause after typing before the bookings search runs
+    BOOKINGS_SEARCH_DELAY: 300,
+    // Longest reason accepted when cancelling bookings in bulk
+    CANCEL_REASON_MAX_LENGTH: 500
+  };
+
+  // Ordered to match Date.prototype.getDay()
+  const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+  // Customer emails/SMS sent when staff change a booking's status
+  const STATUS_NOTIFICATIONS = {
+    deposit_paid: 'deposit_confirmed',
+    cancelled: 'cancelled',
+    no_show: 'no_show'
   };
 
   const STATE = {
     isAuthenticated: false,
     currentPanel: 'dashboard',
     services: [],
-    bookings: [],
+    stylists: [],
+    bookings: [], // Whatever bookings panels have fetched, so the drawer can open them
+    bookingQuery: { q: '', sort: 'date', order: 'desc', page: 1 },
+    bookingPage: { bookings: [], pagination: null },
+    bookingRequest: 0,
+    selectedBookingIds: [],
+    bulkFailures: [],
     blocks: [],
+    waitlist: [],
+    ledger: [],
+    customers: [],
+    portfolio: [],
+    messages: [],
+    replyingTo: null,
+    notificationTemplates: [],
+    outbox: [],
+    editingTemplate: null,
+    icsImport: null,
+    editingBlock: null,
+    blockOccurrence: null,
+    blockExceptions: [],
+    blockConflictRequest: 0,
+    schedule: { view: 'week', date: new Date(), stylistId: '' },
+    scheduleDrag: null,
+    scheduleRequest: 0,
+    prepRequest: 0,
     settings: null,
     media: {},
-    editingService: null
+    editingService: null,
+    editingStylist: null
   };
 
   // ============================================
@@ -92,6 +151,13 @@
     });
   }
 
+  function formatMinutes(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    if (hours && minutes) return `${hours}h ${minutes}m`;
+    return hours ? `${hours}h` : `${minutes}m`;
+  }
+
   function formatDateTime(dateString, timeString) {
     const date = new Date(`${dateString}T${timeString}`);
     return date.toLocaleString('en-CA', {
@@ -104,6 +170,17 @@
     });
   }
 
+  /**
+   * One line per material answer, e.g. "Braiding hair: 1B, 6 packs, buying from salon ($48.00 due)"
+   */
+  function describeMaterialChoice(choice) {
+    const details = [choice.colour, `${choice.packs} pack${choice.packs === 1 ? '' : 's'}`].filter(Boolean).join(', ');
+    const source = choice.source === 'buy'
+      ? `buying from salon${choice.packPrice ? ` (${formatCurrency(choice.packPrice * choice.packs)} due)` : ''}`
+      : 'bringing own';
+    return `${choice.name}: ${details}, ${source}`;
+  }
+
   // ============================================
   // API & Storage Functions
   // ============================================
@@ -180,9 +257,104 @@
       return Promise.resolve({ success: true });
     }
 
+    // Stylists endpoints
+    if (endpoint === '/api/stylists' && method === 'GET') {
+      return Promise.resolve(loadFromStorage(CONFIG.STORAGE_KEYS.STYLISTS) || []);
+    }
+
+    if (endpoint === '/api/stylists' && method === 'POST') {
+      const stylist = JSON.parse(options.body);
+      stylist.id = stylist.id || `stylist-${Date.now()}`;
+      const stylists = loadFromStorage(CONFIG.STORAGE_KEYS.STYLISTS) || [];
+      stylists.push(stylist);
+      saveToStorage(CONFIG.STORAGE_KEYS.STYLISTS, stylists);
+      return Promise.resolve(stylist);
+    }
+
+    if (endpoint.startsWith('/api/stylists/') && method === 'PUT') {
+      const id = endpoint.split('/').pop();
+      const updatedStylist = JSON.parse(options.body);
+      const stylists = loadFromStorage(CONFIG.STORAGE_KEYS.STYLISTS) || [];
+      const index = stylists.findIndex(s => s.id === id);
+      if (index !== -1) {
+        stylists[index] = { ...stylists[index], ...updatedStylist };
+        saveToStorage(CONFIG.STORAGE_KEYS.STYLISTS, stylists);
+        return Promise.resolve(stylists[index]);
+      }
+      return Promise.reject(new Error('Stylist not found'));
+    }
+
+    if (endpoint.startsWith('/api/stylists/') && method === 'DELETE') {
+      const id = endpoint.split('/').pop();
+      const stylists = loadFromStorage(CONFIG.STORAGE_KEYS.STYLISTS) || [];
+      saveToStorage(CONFIG.STORAGE_KEYS.STYLISTS, stylists.filter(s => s.id !== id));
+      return Promise.resolve({ success: true });
+    }
+
     // Bookings endpoints
-    if (endpoint === '/api/bookings' && method === 'GET') {
-      return Promise.resolve(loadFromStorage(CONFIG.STORAGE_KEYS.BOOKINGS) || []);
+    if ((endpoint === '/api/bookings' || endpoint.startsWith('/api/bookings?')) && method === 'GET') {
+      const bookings = loadBookingsAfterReminders();
+      return Promise.resolve(queryBookings(bookings, new URLSearchParams(endpoint.split('?')[1] || '')));
+    }
+
+    // Dashboard counts, worked out on the server so the list never has to load
+    if (endpoint === '/api/bookings/summary' && method === 'GET') {
+      const bookings = loadBookingsAfterReminders();
+      const ledger = loadFromStorage(CONFIG.STORAGE_KEYS.LEDGER) || [];
+      return Promise.resolve(summarizeBookings(bookings, ledger));
+    }
+
+    // Record the customer's arrival and how late they were
+    if (/^\/api\/bookings\/[^/]+\/check-in$/.test(endpoint) && method === 'POST') {
+      const id = endpoint.split('/')[3];
+      const { arrivedAt } = JSON.parse(options.body);
+      const bookings = loadFromStorage(CONFIG.STORAGE_KEYS.BOOKINGS) || [];
+      const booking = bookings.find(b => b.id === id);
+      if (!booking) {
+        return Promise.reject(new Error('Booking not found'));
+      }
+      if (booking.status !== 'deposit_pending' && booking.status !== 'deposit_paid') {
+        return Promise.reject(new Error('Only upcoming bookings can be checked in'));
+      }
+      if (booking.checkIn && booking.checkIn.outcome !== 'rescheduled') {
+        return Promise.reject(new Error('Booking is already checked in'));
+      }
+
+      const start = new Date(`${booking.date}T${booking.time}:00`);
+      const minutesLate = Math.max(0, Math.round((new Date(arrivedAt) - start) / 60000));
+      const settings = loadFromStorage(CONFIG.STORAGE_KEYS.SETTINGS) || {};
+      const threshold = settings.lateArrivalMinutes ?? CONFIG.LATE_ARRIVAL_MINUTES;
+
+      // Late arrivals wait on staff to proceed, shorten or reschedule (outcome)
+      booking.checkIn = {
+        arrivedAt,
+        minutesLate,
+        isLate: minutesLate >= threshold,
+        outcome: null
+      };
+
+      const records = loadCustomerRecords();
+      window.SallyRules.recordCustomerIncident(records, booking, 'checkInCount');
+      if (minutesLate > 0) {
+        window.SallyRules.recordCustomerIncident(records, booking, 'minutesLateTotal', minutesLate);
+      }
+      if (booking.checkIn.isLate) {
+        window.SallyRules.recordCustomerIncident(records, booking, 'lateArrivalCount');
+      }
+      saveCustomerRecords(records);
+
+      saveToStorage(CONFIG.STORAGE_KEYS.BOOKINGS, bookings);
+      return Promise.resolve(booking);
+    }
+
+    // Bulk actions report each booking's result separately
+    if (endpoint === '/api/bookings/bulk' && method === 'POST') {
+      const request = JSON.parse(options.body);
+      const error = validateBulkBookingRequest(request);
+      if (error) {
+        return Promise.reject(new Error(error));
+      }
+      return runBulkBookingAction(request).then(results => ({ results }));
     }
 
     if (endpoint.startsWith('/api/bookings/') && method === 'PATCH') {
@@ -191,18 +363,323 @@
       const bookings = loadFromStorage(CONFIG.STORAGE_KEYS.BOOKINGS) || [];
       const index = bookings.findIndex(b => b.id === id);
       if (index !== -1) {
-        bookings[index] = { ...bookings[index], ...updates };
+        const previous = bookings[index];
+
+        // Check every field before anything (ledger, customer records) is written
+        const isCancelling = updates.status === 'cancelled' && previous.status !== 'cancelled';
+        if (isCancelling && !['customer', 'salon'].includes(updates.cancelledBy)) {
+          return Promise.reject(new Error('Say whether the customer or the salon cancelled'));
+        }
+        const isConsentChange = updates.photoConsent !== undefined && updates.photoConsent !== previous.photoConsent;
+        if (isConsentChange && !['granted', 'declined'].includes(updates.photoConsent)) {
+          return Promise.reject(new Error('Invalid photo consent'));
+        }
+
+        // A new date, time or stylist must be free, checked as for a new booking
+        const isMoving = (updates.date && updates.date !== previous.date) ||
+          (updates.time && updates.time !== previous.time);
+        const isReassigning = updates.stylistId !== undefined &&
+          (updates.stylistId || null) !== (previous.stylistId || null) &&
+          (previous.status === 'deposit_pending' || previous.status === 'deposit_paid');
+        if (isMoving || isReassigning) {
+          const { slots } = window.SallyRules.generateTimeSlots(updates.date || previous.date, {
+            serviceId: previous.serviceId,
+            variantId: previous.variantId || null,
+            stylistId: isReassigning ? updates.stylistId || null : null,
+            addOnIds: (previous.addOns || []).map(addOn => addOn.id),
+            excludeBookingId: previous.id
+          }, getAvailabilityData());
+          const slot = slots.find(s => s.time === (updates.time || previous.time));
+          if (!slot || !slot.available) {
+            return Promise.reject(new Error(isReassigning
+              ? `${updates.stylistName || 'That stylist'} isn't free for this booking`
+              : 'That time isn\'t free. Choose another.'));
+          }
+
+          // Stay with the same stylist when they're free at the new time
+          if (!isReassigning && slot.stylistIds && !slot.stylistIds.includes(previous.stylistId)) {
+            const stylists = loadFromStorage(CONFIG.STORAGE_KEYS.STYLISTS) || [];
+            const stylist = stylists.find(st => st.id === slot.stylistIds[0]);
+            updates.stylistId = stylist.id;
+            updates.stylistName = stylist.name;
+          }
+        }
+
+        // Cancelling or marking a no-show settles whatever deposit was paid.
+        // Only a customer's own late cancellation forfeits it.
+        const isClosing = updates.status === 'cancelled' || updates.status === 'no_show';
+        const wasOpen = previous.status === 'deposit_pending' || previous.status === 'deposit_paid';
+        if (isCancelling) {
+          updates.cancelledAt = updates.cancelledAt || new Date().toISOString();
+        }
+        const records = loadCustomerRecords();
+        if (isClosing && wasOpen) {
+          if (updates.status === 'no_show') {
+            window.SallyRules.settleDeposit(records, previous, 'forfeit', 'no-show');
+            window.SallyRules.recordCustomerIncident(records, previous, 'noShowCount');
+          } else if (updates.cancelledBy === 'salon') {
+            window.SallyRules.settleDeposit(records, previous, 'credit', 'cancelled by the salon');
+          } else if (hasTransferNotice(previous)) {
+            window.SallyRules.settleDeposit(records, previous, 'credit', 'cancelled with notice');
+          } else {
+            // Counts toward mandatory prepayment, so never for salon cancellations
+            window.SallyRules.settleDeposit(records, previous, 'forfeit', 'late cancellation');
+            window.SallyRules.recordCustomerIncident(records, previous, 'lateCancelCount');
+          }
+        }
+
+        // A changed photo choice (e.g. an opt-out given in person) applies to the customer too
+        if (isConsentChange) {
+          const customer = window.SallyRules.upsertCustomer(records.customers, previous.customer);
+          customer.photoConsent = updates.photoConsent;
+          customer.photoConsentAt = new Date().toISOString();
+          updates.customerId = customer.id;
+        }
+
+        // Moving an appointment keeps a record of where it was
+        if (isMoving) {
+          updates.rescheduledFrom = { date: previous.date, time: previous.time };
+          updates.rescheduledAt = new Date().toISOString();
+          updates.reminderSentAt = null;
+        }
+
+        // Credit held toward the deposit is spent once the deposit is received
+        if (updates.status === 'deposit_paid' && previous.status === 'deposit_pending') {
+          window.SallyRules.spendHeldCredit(records, previous);
+        }
+        saveCustomerRecords(records);
+
+        bookings[index] = { ...previous, ...updates };
         saveToStorage(CONFIG.STORAGE_KEYS.BOOKINGS, bookings);
+
+        if (isMoving) {
+          notify('rescheduled', bookings[index]);
+        }
+        if (updates.status && updates.status !== previous.status && STATUS_NOTIFICATIONS[updates.status]) {
+          notify(STATUS_NOTIFICATIONS[updates.status], bookings[index]);
+        }
         return Promise.resolve(bookings[index]);
       }
       return Promise.reject(new Error('Booking not found'));
     }
 
+    // Deposit credit ledger
+    if (endpoint.startsWith('/api/ledger') && method === 'GET') {
+      const email = new URL(endpoint, 'http://localhost').searchParams.get('customer');
+      const { customers, ledger } = loadCustomerRecords();
+      const customer = email && window.SallyRules.findCustomer(customers, { email });
+      return Promise.resolve(email
+        ? window.SallyRules.getCustomerLedger(ledger, customer).entries
+        : ledger);
+    }
+
+    // Customer records (no-show history and prepayment override)
+    if (endpoint === '/api/customers' && method === 'GET') {
+      const customers = loadFromStorage(CONFIG.STORAGE_KEYS.CUSTOMERS) || [];
+      const bookings = loadFromStorage(CONFIG.STORAGE_KEYS.BOOKINGS) || [];
+
+      // Bookings made before customer records existed are matched up once
+      const unlinked = bookings.filter(b => !b.customerId && b.customer);
+      unlinked.forEach(booking => {
+        const customer = window.SallyRules.upsertCustomer(customers, booking.customer);
+        if (booking.status === 'no_show') {
+          customer.noShowCount += 1;
+        } else if (booking.status === 'cancelled' && booking.cancelledBy !== 'salon' && booking.depositOutcome === 'forfeited') {
+          customer.lateCancelCount += 1;
+        }
+        booking.customerId = customer.id;
+      });
+      if (unlinked.length > 0) {
+        saveToStorage(CONFIG.STORAGE_KEYS.BOOKINGS, bookings);
+        saveToStorage(CONFIG.STORAGE_KEYS.CUSTOMERS, customers);
+      }
+
+      return Promise.resolve(customers);
+    }
+
+    if (endpoint.startsWith('/api/customers/') && method === 'PUT') {
+      const id = endpoint.split('/').pop();
+      const { prepayOverride } = JSON.parse(options.body);
+      const customers = loadFromStorage(CONFIG.STORAGE_KEYS.CUSTOMERS) || [];
+      const customer = customers.find(c => c.id === id);
+      if (!customer) {
+        return Promise.reject(new Error('Customer not found'));
+      }
+      if (![null, 'require', 'waive'].includes(prepayOverride)) {
+        return Promise.reject(new Error('Invalid prepayment override'));
+      }
+
+      customer.prepayOverride = prepayOverride;
+      customer.updatedAt = new Date().toISOString();
+      saveToStorage(CONFIG.STORAGE_KEYS.CUSTOMERS, customers);
+      return Promise.resolve(customer);
+    }
+
+    // Owner's iCal feed. Calendar apps can't send a bearer token, so the feed
+    // is authenticated by the secret token in its URL.
+    if (endpoint === '/api/calendar/feed-token' && method === 'GET') {
+      return Promise.resolve(getCalendarFeed());
+    }
+
+    if (endpoint === '/api/calendar/feed-token' && method === 'POST') {
+      return Promise.resolve(getCalendarFeed(true));
+    }
+
+    if (endpoint.startsWith('/api/calendar/feed.ics') && method === 'GET') {
+      const token = new URL(endpoint, 'http://localhost').searchParams.get('token');
+      const feed = loadFromStorage(CONFIG.STORAGE_KEYS.CALENDAR_FEED);
+      if (!feed || token !== feed.token) {
+        return Promise.reject(new Error('Invalid calendar feed token'));
+      }
+      return Promise.resolve(buildCalendarFeed());
+    }
+
+    // Notification templates and outbox
+    if (endpoint === '/api/notifications/templates' && method === 'GET') {
+      return Promise.resolve(window.SallyNotifications.getTemplates());
+    }
+
+    if (endpoint.startsWith('/api/notifications/templates/') && method === 'PUT') {
+      const event = endpoint.split('/').pop();
+      try {
+        return Promise.resolve(window.SallyNotifications.saveTemplate(event, JSON.parse(options.body)));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+
+    if (endpoint.startsWith('/api/notifications/templates/') && method === 'DELETE') {
+      return Promise.resolve(window.SallyNotifications.resetTemplate(endpoint.split('/').pop()));
+    }
+
+    if (endpoint === '/api/notifications/outbox' && method === 'GET') {
+      return Promise.resolve(window.SallyNotifications.getOutbox().reverse());
+    }
+
+    if (endpoint === '/api/notifications/outbox' && method === 'DELETE') {
+      window.SallyNotifications.clearOutbox();
+      return Promise.resolve({ success: true });
+    }
+
+    // Contact form messages (the client's POST /api/messages adds them)
+    if (endpoint === '/api/messages' && method === 'GET') {
+      const messages = loadFromStorage(CONFIG.STORAGE_KEYS.MESSAGES) || [];
+      return Promise.resolve(messages.sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+    }
+
+    if (endpoint.startsWith('/api/messages/') && endpoint.endsWith('/reply') && method === 'POST') {
+      const id = endpoint.split('/')[3];
+      const { channel, subject, body } = JSON.parse(options.body);
+      const messages = loadFromStorage(CONFIG.STORAGE_KEYS.MESSAGES) || [];
+      const message = messages.find(m => m.id === id);
+      if (!message) {
+        return Promise.reject(new Error('Message not found'));
+      }
+      const to = channel === 'sms' ? message.phone : message.email;
+      if (!to || !['email', 'sms'].includes(channel) || !(body || '').trim()) {
+        return Promise.reject(new Error('Invalid reply'));
+      }
+
+      return window.SallyNotifications.send({ channel, to, subject, body: body.trim(), bookingId: message.bookingId })
+        .then(outboxId => {
+          message.replies = [...(message.replies || []), {
+            channel,
+            to,
+            subject: channel === 'email' ? subject || '' : null,
+            body: body.trim(),
+            outboxId,
+            sentAt: new Date().toISOString()
+          }];
+          if (message.status === 'unread') message.status = 'read';
+          saveToStorage(CONFIG.STORAGE_KEYS.MESSAGES, messages);
+          return message;
+        });
+    }
+
+    // Link that opens the booking form with the sender's details filled in
+    if (endpoint.startsWith('/api/messages/') && endpoint.endsWith('/booking-invite') && method === 'POST') {
+      const id = endpoint.split('/')[3];
+      const messages = loadFromStorage(CONFIG.STORAGE_KEYS.MESSAGES) || [];
+      const message = messages.find(m => m.id === id);
+      if (!message) {
+        return Promise.reject(new Error('Message not found'));
+      }
+      if (!message.bookingInvite) {
+        message.bookingInvite = {
+          token: `enq_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`,
+          createdAt: new Date().toISOString()
+        };
+        saveToStorage(CONFIG.STORAGE_KEYS.MESSAGES, messages);
+      }
+      return Promise.resolve(message);
+    }
+
+    if (endpoint.startsWith('/api/messages/') && method === 'PATCH') {
+      const id = endpoint.split('/').pop();
+      const { status } = JSON.parse(options.body);
+      if (!['unread', 'read', 'archived'].includes(status)) {
+        return Promise.reject(new Error('Invalid message status'));
+      }
+      const messages = loadFromStorage(CONFIG.STORAGE_KEYS.MESSAGES) || [];
+      const message = messages.find(m => m.id === id);
+      if (!message) {
+        return Promise.reject(new Error('Message not found'));
+      }
+      message.status = status;
+      saveToStorage(CONFIG.STORAGE_KEYS.MESSAGES, messages);
+      return Promise.resolve(message);
+    }
+
+    // Waitlist endpoints
+    if (endpoint === '/api/waitlist' && method === 'GET') {
+      const waitlist = loadFromStorage(CONFIG.STORAGE_KEYS.WAITLIST) || [];
+      window.SallyRules.expireWaitlistOffers(waitlist, getAvailabilityData());
+      saveToStorage(CONFIG.STORAGE_KEYS.WAITLIST, waitlist);
+      return Promise.resolve(waitlist);
+    }
+
+    // Offer a freed slot to the next customers waitlisted for that day
+    if (endpoint === '/api/waitlist/offers' && method === 'POST') {
+      const { date, stylistId } = JSON.parse(options.body);
+      const waitlist = loadFromStorage(CONFIG.STORAGE_KEYS.WAITLIST) || [];
+      const offered = window.SallyRules.offerWaitlistSlot(waitlist, date, stylistId, getAvailabilityData());
+      saveToStorage(CONFIG.STORAGE_KEYS.WAITLIST, waitlist);
+      return Promise.resolve({ offered });
+    }
+
+    if (endpoint.startsWith('/api/waitlist/') && endpoint.endsWith('/offer') && method === 'POST') {
+      const id = endpoint.split('/')[3];
+      const waitlist = loadFromStorage(CONFIG.STORAGE_KEYS.WAITLIST) || [];
+      const entry = waitlist.find(e => e.id === id);
+      if (!entry) {
+        return Promise.reject(new Error('Waitlist entry not found'));
+      }
+      // Only someone still waiting (or whose offer lapsed) can be offered the slot
+      if (entry.status !== 'waiting' && entry.status !== 'expired') {
+        return Promise.reject(new Error(`Can't offer a slot to a ${entry.status} waitlist entry`));
+      }
+      window.SallyRules.createWaitlistOffer(entry);
+      saveToStorage(CONFIG.STORAGE_KEYS.WAITLIST, waitlist);
+      return Promise.resolve(entry);
+    }
+
+    if (endpoint.startsWith('/api/waitlist/') && method === 'DELETE') {
+      const id = endpoint.split('/').pop();
+      const waitlist = loadFromStorage(CONFIG.STORAGE_KEYS.WAITLIST) || [];
+      saveToStorage(CONFIG.STORAGE_KEYS.WAITLIST, waitlist.filter(e => e.id !== id));
+      return Promise.resolve({ success: true });
+    }
+
     // Calendar blocks
     if (endpoint === '/api/availability/blocks' && method === 'POST') {
       const block = JSON.parse(options.body);
-      block.id = `block-${Date.now()}`;
+      const error = validateBlock(block);
+      if (error) {
+        return Promise.reject(new Error(error));
+      }
       const blocks = loadFromStorage(CONFIG.STORAGE_KEYS.BLOCKS) || [];
+      block.id = `block-${Date.now()}-${blocks.length}`;
+      block.createdAt = new Date().toISOString();
       blocks.push(block);
       saveToStorage(CONFIG.STORAGE_KEYS.BLOCKS, blocks);
       return Promise.resolve(block);
@@ -212,6 +689,59 @@
       return Promise.resolve(loadFromStorage(CONFIG.STORAGE_KEYS.BLOCKS) || []);
     }
 
+    if (endpoint === '/api/availability/blocks/import' && method === 'POST') {
+      const { blocks: incoming } = JSON.parse(options.body);
+      const blocks = loadFromStorage(CONFIG.STORAGE_KEYS.BLOCKS) || [];
+      const created = [];
+      const rejected = [];
+      let skipped = 0;
+
+      (incoming || []).forEach((block, index) => {
+        const error = validateBlock(block);
+        if (error) {
+          rejected.push({ index, error });
+          return;
+        }
+        if (blocks.some(existing => isSameBlock(existing, block))) {
+          skipped++;
+          return;
+        }
+        const saved = { ...block, id: `block-${Date.now()}-${index}` };
+        blocks.push(saved);
+        created.push(saved);
+      });
+
+      saveToStorage(CONFIG.STORAGE_KEYS.BLOCKS, blocks);
+      return Promise.resolve({ created, skipped, rejected });
+    }
+
+    if (endpoint.startsWith('/api/availability/blocks/') && method === 'PUT') {
+      const id = endpoint.split('/').pop();
+      const blocks = loadFromStorage(CONFIG.STORAGE_KEYS.BLOCKS) || [];
+      const index = blocks.findIndex(b => b.id === id);
+      if (index === -1) {
+        return Promise.reject(new Error('Block not found'));
+      }
+      const updated = { ...JSON.parse(options.body), id, createdAt: blocks[index].createdAt };
+      const error = validateBlock(updated);
+      if (error) {
+        return Promise.reject(new Error(error));
+      }
+      blocks[index] = updated;
+      saveToStorage(CONFIG.STORAGE_KEYS.BLOCKS, blocks);
+      return Promise.resolve(updated);
+    }
+
+    if (endpoint.startsWith('/api/availability/blocks/') && method === 'DELETE') {
+      const id = endpoint.split('/').pop();
+      const blocks = loadFromStorage(CONFIG.STORAGE_KEYS.BLOCKS) || [];
+      if (!blocks.some(b => b.id === id)) {
+        return Promise.reject(new Error('Block not found'));
+      }
+      saveToStorage(CONFIG.STORAGE_KEYS.BLOCKS, blocks.filter(b => b.id !== id));
+      return Promise.resolve({ success: true });
+    }
+
     // Settings
     if (endpoint === '/api/settings' && method === 'GET') {
       return Promise.resolve(loadFromStorage(CONFIG.STORAGE_KEYS.SETTINGS) || getDefaultSettings());
@@ -224,6 +754,70 @@
     }
 
     // Media
+    if (endpoint === '/api/media/portfolio' && method === 'GET') {
+      return Promise.resolve(getPortfolio());
+    }
+
+    if (endpoint === '/api/media/portfolio' && method === 'POST') {
+      const { url, caption } = JSON.parse(options.body);
+      if (!url) {
+        return Promise.reject(new Error('Image URL is required'));
+      }
+      if (!isValidImageUrl(url)) {
+        return Promise.reject(new Error('Image URL must start with https:// or be a path starting with /'));
+      }
+
+      const portfolio = getPortfolio();
+      const photo = {
+        id: `photo-${Date.now()}`,
+        url,
+        caption: caption || '',
+        customerIds: [],
+        createdAt: new Date().toISOString()
+      };
+      portfolio.push(photo);
+      savePortfolio(portfolio);
+      return Promise.resolve(photo);
+    }
+
+    if (endpoint.startsWith('/api/media/portfolio/') && method === 'PUT') {
+      const id = endpoint.split('/').pop();
+      const updates = JSON.parse(options.body);
+      const portfolio = getPortfolio();
+      const photo = portfolio.find(p => p.id === id);
+      if (!photo) {
+        return Promise.reject(new Error('Photo not found'));
+      }
+
+      // Customers who opted out can't be newly tagged; existing tags can still be removed
+      if (updates.customerIds) {
+        const customers = loadFromStorage(CONFIG.STORAGE_KEYS.CUSTOMERS) || [];
+        for (const customerId of updates.customerIds.filter(cid => !photo.customerIds.includes(cid))) {
+          const customer = customers.find(c => c.id === customerId);
+          if (!customer) {
+            return Promise.reject(new Error('Customer not found'));
+          }
+          if (customer.photoConsent === 'declined') {
+            return Promise.reject(new Error(`${customer.name} opted out of photos and can't be tagged`));
+          }
+        }
+        photo.customerIds = [...new Set(updates.customerIds)];
+      }
+      if (updates.caption !== undefined) {
+        photo.caption = updates.caption;
+      }
+
+      photo.updatedAt = new Date().toISOString();
+      savePortfolio(portfolio);
+      return Promise.resolve(photo);
+    }
+
+    if (endpoint.startsWith('/api/media/portfolio/') && method === 'DELETE') {
+      const id = endpoint.split('/').pop();
+      savePortfolio(getPortfolio().filter(p => p.id !== id));
+      return Promise.resolve({ success: true });
+    }
+
     if (endpoint === '/api/media/logo' && method === 'POST') {
       // In mock mode, we'll store base64 data URLs
       return Promise.resolve({ url: 'mock_upload_' + Date.now() });
@@ -232,6 +826,251 @@
     return Promise.reject(new Error('Endpoint not implemented'));
   }
 
+  /**
+   * Stored bookings, once the stand-in for the backend's reminder job has run
+   */
+  function loadBookingsAfterReminders() {
+    const bookings = loadFromStorage(CONFIG.STORAGE_KEYS.BOOKINGS) || [];
+    if (window.SallyNotifications && window.SallyNotifications.sendDueReminders(bookings) > 0) {
+      saveToStorage(CONFIG.STORAGE_KEYS.BOOKINGS, bookings);
+    }
+    return bookings;
+  }
+
+  /**
+   * Dashboard figures for GET /api/bookings/summary. Forfeited deposits count
+   * as revenue.
+   */
+  function summarizeBookings(bookings, ledger) {
+    const thisMonth = formatLocalDate(new Date()).slice(0, 7);
+    const forfeited = ledger
+      .filter(entry => entry.type === 'forfeit')
+      .reduce((sum, entry) => sum + entry.amount, 0);
+    const checkIns = bookings.filter(b => b.checkIn).map(b => b.checkIn);
+
+    return {
+      total: bookings.length,
+      thisMonth: bookings.filter(b => (b.date || '').startsWith(thisMonth)).length,
+      pendingDeposits: bookings.filter(b => b.status === 'deposit_pending').length,
+      revenue: bookings
+        .filter(b => b.status === 'completed' || b.status === 'deposit_paid')
+        .reduce((sum, b) => sum + (b.amountDue || 0), 0) + forfeited,
+      checkIns: checkIns.length,
+      lateArrivals: checkIns.filter(checkIn => checkIn.isLate).length,
+      averageMinutesLate: checkIns.length > 0
+        ? Math.round(checkIns.reduce((sum, checkIn) => sum + checkIn.minutesLate, 0) / checkIns.length)
+        : 0,
+      recent: [...bookings]
+        .sort((a, b) => new Date(b.createdAt || b.date) - new Date(a.createdAt || a.date))
+        .slice(0, 5)
+    };
+  }
+
+  // Sort keys accepted by GET /api/bookings
+  const BOOKING_SORTS = {
+    date: b => `${b.date}T${b.time || ''}`,
+    customer: b => (b.customer.name || '').toLowerCase(),
+    service: b => (b.serviceTitle || '').toLowerCase(),
+    stylist: b => (b.stylistName || '').toLowerCase(),
+    deposit: b => b.depositAmount || 0,
+    status: b => b.status,
+    createdAt: b => b.createdAt || ''
+  };
+
+  /**
+   * Filter, search, sort and page bookings for GET /api/bookings. `q` matches
+   * the customer's name or email, the booking id, or (when it's all digits and
+   * punctuation) the customer's phone number.
+   */
+  function queryBookings(bookings, params) {
+    const dateFrom = params.get('dateFrom');
+    const dateTo = params.get('dateTo');
+    const serviceId = params.get('serviceId');
+    const stylistId = params.get('stylistId');
+    const status = params.get('status');
+    const q = (params.get('q') || '').trim().toLowerCase();
+    const phone = /^[\d\s()+.-]+$/.test(q) ? q.replace(/\D/g, '') : '';
+
+    const matches = bookings.filter(b => {
+      if (dateFrom && b.date < dateFrom) return false;
+      if (dateTo && b.date > dateTo) return false;
+      if (serviceId && b.serviceId !== serviceId) return false;
+      if (stylistId === 'unassigned' ? b.stylistId : stylistId && b.stylistId !== stylistId) return false;
+      if (status && b.status !== status) return false;
+      if (!q) return true;
+
+      return b.id.toLowerCase().includes(q) ||
+        (b.customer.name || '').toLowerCase().includes(q) ||
+        (b.customer.email || '').toLowerCase().includes(q) ||
+        Boolean(phone && (b.customer.phone || '').replace(/\D/g, '').includes(phone));
+    });
+
+    const sortKey = BOOKING_SORTS[params.get('sort')] || BOOKING_SORTS.date;
+    const direction = params.get('order') === 'asc' ? 1 : -1;
+    matches.sort((a, b) => {
+      const x = sortKey(a);
+      const y = sortKey(b);
+      return (x < y ? -1 : x > y ? 1 : a.id.localeCompare(b.id)) * direction;
+    });
+
+    const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || 50, 1), CONFIG.BOOKINGS_MAX_LIMIT);
+    const totalPages = Math.max(Math.ceil(matches.length / limit), 1);
+    const page = Math.min(Math.max(parseInt(params.get('page'), 10) || 1, 1), totalPages);
+
+    return {
+      bookings: matches.slice((page - 1) * limit, page * limit),
+      pagination: { page, limit, total: matches.length, totalPages }
+    };
+  }
+
+  // Statuses a bulk action can move each status to. Only open bookings change;
+  // completed ones are left alone since their deposit has already been applied.
+  const BOOKING_STATUS_MOVES = {
+    deposit_pending: ['deposit_paid', 'cancelled', 'no_show'],
+    deposit_paid: ['completed', 'cancelled', 'no_show'],
+    completed: [],
+    cancelled: [],
+    no_show: []
+  };
+
+  /**
+   * Problem with a bulk action request as a whole, or null if it's valid
+   */
+  function validateBulkBookingRequest({ action, ids, status, reason }) {
+    if (!['status', 'reminder', 'cancel'].includes(action)) {
+      return 'Unknown bulk action';
+    }
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return 'Select at least one booking';
+    }
+    if (action === 'status' && !(status in BOOKING_STATUS_MOVES && status !== 'cancelled')) {
+      return 'Choose a status';
+    }
+    if (action === 'cancel' && !(reason || '').trim()) {
+      return 'Enter a reason for cancelling';
+    }
+    if (action === 'cancel' && reason.length > CONFIG.CANCEL_REASON_MAX_LENGTH) {
+      return `Keep the reason under ${CONFIG.CANCEL_REASON_MAX_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Apply a bulk action one booking at a time. Status changes and
+   * cancellations go through the same update as a single booking, so deposits
+   * are settled and customers notified the same way.
+   */
+  async function runBulkBookingAction({ action, ids, status, reason }) {
+    const results = [];
+
+    for (const id of ids) {
+      const booking = (loadFromStorage(CONFIG.STORAGE_KEYS.BOOKINGS) || []).find(b => b.id === id);
+      const newStatus = action === 'cancel' ? 'cancelled' : status;
+
+      try {
+        if (!booking) {
+          throw new Error('Booking not found');
+        }
+
+        if (action === 'reminder') {
+          if (booking.status !== 'deposit_pending' && booking.status !== 'deposit_paid') {
+            throw new Error('Only upcoming bookings get reminders');
+          }
+          if (new Date(`${booking.date}T${booking.time}:00`) <= new Date()) {
+            throw new Error('The appointment has already started');
+          }
+          const sent = window.SallyNotifications ? window.SallyNotifications.notify('reminder_24h', booking) : [];
+          if (sent.length === 0) {
+            throw new Error('Reminders are turned off or the customer has no email or phone');
+          }
+          await Promise.all(sent);
+          results.push({ id, ok: true, booking: await mockApiRequest(`/api/bookings/${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ reminderSentAt: new Date().toISOString() })
+          }) });
+          continue;
+        }
+
+        if (booking.status === newStatus) {
+          throw new Error(`Already ${newStatus.replace('_', ' ')}`);
+        }
+        if (!BOOKING_STATUS_MOVES[booking.status].includes(newStatus)) {
+          throw new Error(`Can't change a ${booking.status.replace('_', ' ')} booking to ${newStatus.replace('_', ' ')}`);
+        }
+
+        const updates = action === 'cancel'
+          ? { status: 'cancelled', cancelledBy: 'salon', cancelledAt: new Date().toISOString(), cancelReason: reason.trim() }
+          : { status: newStatus };
+        results.push({ id, ok: true, booking: await mockApiRequest(`/api/bookings/${id}`, {
+          method: 'PATCH',
+          body: JSON.stringify(updates)
+        }) });
+
+      } catch (error) {
+        results.push({ id, ok: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  function hasTransferNotice(booking) {
+    const start = new Date(`${booking.date}T${booking.time}:00`);
+    return (start - Date.now()) / (60 * 60 * 1000) >= window.SallyRules.DEPOSIT_TRANSFER_HOURS;
+  }
+
+  function notify(event, booking) {
+    if (window.SallyNotifications) {
+      window.SallyNotifications.notify(event, booking);
+    }
+  }
+
+  /**
+   * The calendar feed token, created on first use or when regenerated
+   */
+  function getCalendarFeed(regenerate = false) {
+    let feed = loadFromStorage(CONFIG.STORAGE_KEYS.CALENDAR_FEED);
+    if (!feed || regenerate) {
+      const bytes = crypto.getRandomValues(new Uint8Array(16));
+      feed = {
+        token: Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(''),
+        createdAt: new Date().toISOString()
+      };
+      saveToStorage(CONFIG.STORAGE_KEYS.CALENDAR_FEED, feed);
+    }
+    return feed;
+  }
+
+  /**
+   * Stored customers and deposit ledger, as SallyRules' customer and credit
+   * functions take them
+   */
+  function loadCustomerRecords() {
+    return {
+      customers: loadFromStorage(CONFIG.STORAGE_KEYS.CUSTOMERS) || [],
+      ledger: loadFromStorage(CONFIG.STORAGE_KEYS.LEDGER) || []
+    };
+  }
+
+  function saveCustomerRecords(records) {
+    saveToStorage(CONFIG.STORAGE_KEYS.CUSTOMERS, records.customers);
+    saveToStorage(CONFIG.STORAGE_KEYS.LEDGER, records.ledger);
+  }
+
+  /**
+   * Stored services, settings, stylists, blocks and bookings, as
+   * SallyRules.generateTimeSlots takes them (the client reads the same keys)
+   */
+  function getAvailabilityData() {
+    return {
+      catalog: (loadFromStorage(CONFIG.STORAGE_KEYS.SERVICES) || []).map(window.SallyRules.migrateService),
+      settings: loadFromStorage(CONFIG.STORAGE_KEYS.SETTINGS) || {},
+      stylists: loadFromStorage(CONFIG.STORAGE_KEYS.STYLISTS) || [],
+      blocks: loadFromStorage(CONFIG.STORAGE_KEYS.BLOCKS) || [],
+      bookings: loadFromStorage(CONFIG.STORAGE_KEYS.BOOKINGS) || []
+    };
+  }
+
   function loadFromStorage(key) {
     try {
       const data = localStorage.getItem(key);
@@ -260,11 +1099,33 @@
       tiktok: '@sallybraids_',
       depositPercent: 35,
       depositMin: 15,
-      hoursOpen: '07:00',
-      hoursClose: '19:00'
+      prepayNoShows: window.SallyRules.PREPAY_NO_SHOWS,
+      prepayLateCancels: window.SallyRules.PREPAY_LATE_CANCELS,
+      lateArrivalMinutes: CONFIG.LATE_ARRIVAL_MINUTES,
+      slotInterval: 60,
+      schedule: buildSchedule('07:00', '19:00')
     };
   }
 
+  function buildSchedule(open, close) {
+    return WEEKDAYS.reduce((schedule, day) => {
+      schedule[day] = { open, close, closed: false };
+      return schedule;
+    }, {});
+  }
+
+  /**
+   * Settings saved before the weekly schedule existed only have hoursOpen/hoursClose
+   */
+  function getSchedule(settings) {
+    if (settings.schedule) return settings.schedule;
+    return buildSchedule(settings.hoursOpen || '07:00', settings.hoursClose || '19:00');
+  }
+
+  function getLateArrivalMinutes() {
+    return (STATE.settings && STATE.settings.lateArrivalMinutes) || CONFIG.LATE_ARRIVAL_MINUTES;
+  }
+
   // ============================================
   // Authentication
   // ============================================
@@ -344,12 +1205,28 @@
     try {
       // Load services
       STATE.services = await apiRequest('/api/services');
-      
-      // Load bookings
-      STATE.bookings = await apiRequest('/api/bookings');
-      
+
+      // Load stylists
+      STATE.stylists = await apiRequest('/api/stylists');
+
       // Load blocks
       STATE.blocks = await apiRequest('/api/availability/blocks');
+
+      // Load waitlist
+      STATE.waitlist = await apiRequest('/api/waitlist');
+
+      // Load deposit credit ledger
+      STATE.ledger = await apiRequest('/api/ledger');
+
+      // Load customer records
+      STATE.customers = await apiRequest('/api/customers');
+
+      // Load portfolio photos
+      STATE.portfolio = await apiRequest('/api/media/portfolio');
+
+      // Load contact form messages
+      STATE.messages = await apiRequest('/api/messages');
+      updateInboxBadge();
       
       // Load settings
       STATE.settings = await apiRequest('/api/settings');
@@ -359,6 +1236,9 @@
         await seedServicesFromCatalog();
       }
 
+      // Convert any "DO NOT BOOK AFTER" notes left on older services
+      STATE.services = STATE.services.map(window.SallyRules.migrateService);
+
       // Render current panel
       renderCurrentPanel();
 
@@ -368,6 +1248,43 @@
     }
   }
 
+  /**
+   * Every booking matching the filters (e.g. a date range), a page at a
+   * time. Panels ask only for the days they show.
+   */
+  async function fetchBookings(filters = {}) {
+    const bookings = [];
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const params = new URLSearchParams({ sort: 'date', order: 'asc', page, limit: CONFIG.BOOKINGS_MAX_LIMIT });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+      const result = await apiRequest(`/api/bookings?${params}`);
+      bookings.push(...result.bookings);
+      totalPages = result.pagination.totalPages;
+      page++;
+    } while (page <= totalPages);
+
+    rememberBookings(bookings);
+    return bookings;
+  }
+
+  /**
+   * Keep the bookings a panel has loaded so the drawer opens the latest copy
+   */
+  function rememberBookings(bookings) {
+    bookings.forEach(booking => {
+      const index = STATE.bookings.findIndex(b => b.id === booking.id);
+      if (index === -1) {
+        STATE.bookings.push(booking);
+      } else {
+        STATE.bookings[index] = booking;
+      }
+    });
+  }
+
   async function seedServicesFromCatalog() {
     // Try to get catalog from main page
     const catalog = loadFromStorage('sb_catalog');
@@ -425,9 +1342,24 @@
       case 'calendar':
         renderCalendar();
         break;
+      case 'inbox':
+        renderInbox();
+        break;
+      case 'waitlist':
+        renderWaitlist();
+        break;
+      case 'prep':
+        renderPrepList();
+        break;
+      case 'notifications':
+        renderNotifications();
+        break;
       case 'services':
         renderServices();
         break;
+      case 'stylists':
+        renderStylists();
+        break;
       case 'media':
         renderMedia();
         break;
@@ -441,39 +1373,35 @@
   // Dashboard Panel
   // ============================================
 
-  function renderDashboard() {
-    renderStats();
-    renderRecentBookings();
+  async function renderDashboard() {
+    try {
+      const summary = await apiRequest('/api/bookings/summary');
+      rememberBookings(summary.recent);
+      renderStats(summary);
+      renderRecentBookings(summary.recent);
+    } catch (error) {
+      console.error('Failed to load dashboard:', error);
+      showToast('Failed to load dashboard', 'error');
+    }
   }
 
-  function renderStats() {
+  function renderStats(summary) {
     const container = document.getElementById('stats-container');
     if (!container) return;
 
-    const today = new Date();
-    const thisMonth = today.getMonth();
-    const thisYear = today.getFullYear();
-
-    // Calculate stats
-    const totalBookings = STATE.bookings.length;
-    const monthBookings = STATE.bookings.filter(b => {
-      const bookingDate = new Date(b.date);
-      return bookingDate.getMonth() === thisMonth && bookingDate.getFullYear() === thisYear;
-    }).length;
-
-    const pendingDeposits = STATE.bookings.filter(b => 
-      b.status === 'deposit_pending'
-    ).length;
-
-    const totalRevenue = STATE.bookings
-      .filter(b => b.status === 'completed' || b.status === 'deposit_paid')
-      .reduce((sum, b) => sum + (b.amountDue || 0), 0);
+    // Credit is still owed to customers
+    const outstandingCredit = STATE.ledger
+      .reduce((sum, entry) => sum + (entry.type === 'credit' ? entry.amount : entry.type === 'debit' ? -entry.amount : 0), 0);
 
     const stats = [
-      { label: 'Total Bookings', value: totalBookings },
-      { label: 'This Month', value: monthBookings },
-      { label: 'Pending Deposits', value: pendingDeposits },
-      { label: 'Revenue (Paid)', value: formatCurrency(totalRevenue) }
+      { label: 'Total Bookings', value: summary.total },
+      { label: 'This Month', value: summary.thisMonth },
+      { label: 'Pending Deposits', value: summary.pendingDeposits },
+      { label: 'Unread Messages', value: STATE.messages.filter(m => m.status === 'unread').length },
+      { label: 'Revenue (Paid)', value: formatCurrency(summary.revenue) },
+      { label: 'Customer Credit', value: formatCurrency(outstandingCredit) },
+      { label: 'Late Arrivals', value: `${summary.lateArrivals} of ${summary.checkIns}` },
+      { label: 'Avg. Minutes Late', value: summary.averageMinutesLate }
     ];
 
     container.innerHTML = stats.map(stat => `
@@ -484,14 +1412,10 @@
     `).join('');
   }
 
-  function renderRecentBookings() {
+  function renderRecentBookings(recent) {
     const container = document.getElementById('recent-bookings-container');
     if (!container) return;
 
-    const recent = STATE.bookings
-      .sort((a, b) => new Date(b.createdAt || b.date) - new Date(a.createdAt || a.date))
-      .slice(0, 5);
-
     if (recent.length === 0) {
       container.innerHTML = '<p style="color: #737373; padding: var(--space-6); text-align: center;">No bookings yet.</p>';
       return;
@@ -536,13 +1460,47 @@
     return `<span class="status-badge ${statusClass}">${statusMap[status] || status}</span>`;
   }
 
+  /**
+   * Photo consent chosen at booking. Bookings made before the choice existed show "Ask".
+   */
+  function renderPhotoConsentBadge(consent) {
+    if (consent === 'granted') return '<span class="status-badge confirmed">Photos OK</span>';
+    if (consent === 'declined') return '<span class="status-badge cancelled">No Photos</span>';
+    return '<span class="status-badge pending">Ask About Photos</span>';
+  }
+
   // ============================================
   // Bookings Panel
   // ============================================
 
   function renderBookings() {
     populateServiceFilter();
-    applyBookingFilters();
+    populateStylistFilter();
+    loadBookingsPage();
+  }
+
+  function populateStylistFilter() {
+    const select = document.getElementById('filter-stylist');
+    if (!select) return;
+
+    // Re-populated each time since stylists can be added from the Stylists panel
+    const current = select.value;
+    const options = STATE.stylists.map(s =>
+      `<option value="${s.id}">${escapeHtml(s.name)}</option>`
+    ).join('');
+
+    select.innerHTML = '<option value="">All Stylists</option><option value="unassigned">Unassigned</option>' + options;
+    select.value = current;
+  }
+
+  /**
+   * Stylist name for a booking, falling back to the name saved on the booking
+   * if the stylist has since been deleted
+   */
+  function getBookingStylistName(booking) {
+    if (!booking.stylistId) return 'Unassigned';
+    const stylist = STATE.stylists.find(s => s.id === booking.stylistId);
+    return stylist ? stylist.name : (booking.stylistName || 'Unknown');
   }
 
   function populateServiceFilter() {
@@ -557,28 +1515,273 @@
     select.dataset.populated = 'true';
   }
 
+  /**
+   * Query string for the Bookings panel's filters, search, sort and page
+   */
+  function getBookingQueryParams() {
+    const { q, sort, order, page } = STATE.bookingQuery;
+    const filters = {
+      dateFrom: document.getElementById('filter-date-from')?.value || '',
+      dateTo: document.getElementById('filter-date-to')?.value || '',
+      serviceId: document.getElementById('filter-service')?.value || '',
+      stylistId: document.getElementById('filter-stylist')?.value || '',
+      status: document.getElementById('filter-status')?.value || '',
+      q
+    };
+
+    const params = new URLSearchParams({ sort, order, page, limit: CONFIG.BOOKINGS_PAGE_SIZE });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    return params;
+  }
+
+  /**
+   * Fetch and show the current page of bookings. Responses to earlier
+   * requests that arrive late are ignored.
+   */
+  async function loadBookingsPage() {
+    const request = ++STATE.bookingRequest;
+
+    try {
+      const result = await apiRequest(`/api/bookings?${getBookingQueryParams()}`);
+      if (request !== STATE.bookingRequest) return;
+
+      rememberBookings(result.bookings);
+      STATE.bookingPage = result;
+      STATE.bookingQuery.page = result.pagination.page;
+      renderBookingsTable(result.bookings);
+      renderBookingsPagination(result.pagination);
+      updateBookingSortHeaders();
+      renderBulkBar();
+
+    } catch (error) {
+      console.error('Failed to load bookings:', error);
+      showToast('Failed to load bookings', 'error');
+    }
+  }
+
   function applyBookingFilters() {
-    const dateFrom = document.getElementById('filter-date-from')?.value || '';
-    const dateTo = document.getElementById('filter-date-to')?.value || '';
-    const serviceId = document.getElementById('filter-service')?.value || '';
-    const status = document.getElementById('filter-status')?.value || '';
+    STATE.bookingQuery.page = 1;
+    loadBookingsPage();
+  }
 
-    let filtered = [...STATE.bookings];
+  let bookingSearchTimer = null;
 
-    if (dateFrom) {
-      filtered = filtered.filter(b => b.date >= dateFrom);
+  function handleBookingSearch(e) {
+    clearTimeout(bookingSearchTimer);
+    bookingSearchTimer = setTimeout(() => {
+      STATE.bookingQuery.q = e.target.value.trim();
+      applyBookingFilters();
+    }, CONFIG.BOOKINGS_SEARCH_DELAY);
+  }
+
+  /**
+   * Sort by a column, or flip the order when it's already sorted by it.
+   * Dates start newest first; other columns start A–Z.
+   */
+  function sortBookings(sort) {
+    const query = STATE.bookingQuery;
+    if (query.sort === sort) {
+      query.order = query.order === 'asc' ? 'desc' : 'asc';
+    } else {
+      query.sort = sort;
+      query.order = sort === 'date' ? 'desc' : 'asc';
+    }
+    applyBookingFilters();
+  }
+
+  function goToBookingsPage(page) {
+    STATE.bookingQuery.page = page;
+    loadBookingsPage();
+  }
+
+  function updateBookingSortHeaders() {
+    const { sort, order } = STATE.bookingQuery;
+    document.querySelectorAll('#bookings-table [data-sort]').forEach(button => {
+      const active = button.dataset.sort === sort;
+      button.closest('th').setAttribute('aria-sort', active ? (order === 'asc' ? 'ascending' : 'descending') : 'none');
+      button.dataset.order = active ? order : '';
+    });
+  }
+
+  // Past tense for bulk action summaries
+  const BULK_ACTION_LABELS = {
+    status: 'updated',
+    reminder: 'reminded',
+    cancel: 'cancelled'
+  };
+
+  function toggleBookingSelection(bookingId, selected) {
+    const ids = STATE.selectedBookingIds.filter(id => id !== bookingId);
+    STATE.selectedBookingIds = selected ? [...ids, bookingId] : ids;
+
+    const checkbox = document.querySelector(`#bookings-tbody .booking-select[value="${bookingId}"]`);
+    if (checkbox) checkbox.closest('tr').classList.toggle('selected', selected);
+    renderBulkBar();
+  }
+
+  /**
+   * Select or clear every booking on the current page. Selections on other
+   * pages are kept.
+   */
+  function toggleAllBookings(selected) {
+    const pageIds = STATE.bookingPage.bookings.map(b => b.id);
+    const others = STATE.selectedBookingIds.filter(id => !pageIds.includes(id));
+    STATE.selectedBookingIds = selected ? [...others, ...pageIds] : others;
+
+    document.querySelectorAll('#bookings-tbody .booking-select').forEach(checkbox => {
+      checkbox.checked = selected;
+      checkbox.closest('tr').classList.toggle('selected', selected);
+    });
+    renderBulkBar();
+  }
+
+  function clearBookingSelection() {
+    STATE.selectedBookingIds = [];
+    STATE.bulkFailures = [];
+    toggleBulkCancel(false);
+    toggleAllBookings(false);
+  }
+
+  function renderBulkBar() {
+    const bar = document.getElementById('bookings-bulk-bar');
+    if (!bar) return;
+
+    const count = STATE.selectedBookingIds.length;
+    bar.style.display = count > 0 ? 'flex' : 'none';
+    document.getElementById('bulk-selected-count').textContent = `${count} selected`;
+
+    const pageIds = STATE.bookingPage.bookings.map(b => b.id);
+    const selectedOnPage = pageIds.filter(id => STATE.selectedBookingIds.includes(id)).length;
+    const selectAll = document.getElementById('bookings-select-all');
+    selectAll.checked = pageIds.length > 0 && selectedOnPage === pageIds.length;
+    selectAll.indeterminate = selectedOnPage > 0 && selectedOnPage < pageIds.length;
+
+    const results = document.getElementById('bookings-bulk-results');
+    if (STATE.bulkFailures.length === 0) {
+      results.innerHTML = '';
+      return;
     }
-    if (dateTo) {
-      filtered = filtered.filter(b => b.date <= dateTo);
+    results.innerHTML = `
+      <div class="bulk-failures" role="alert">
+        <strong>${STATE.bulkFailures.length} booking${STATE.bulkFailures.length === 1 ? '' : 's'} not changed (still selected)</strong>
+        <ul>
+          ${STATE.bulkFailures.map(({ id, error }) => {
+            const booking = STATE.bookings.find(b => b.id === id);
+            const label = booking ? `${booking.customer.name}, ${formatDateTime(booking.date, booking.time)}` : id;
+            return `<li><a href="#" onclick="openBookingDrawer('${id}'); return false;">${escapeHtml(label)}</a>: ${escapeHtml(error)}</li>`;
+          }).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  function toggleBulkCancel(show) {
+    const form = document.getElementById('bulk-cancel-form');
+    if (!form) return;
+    form.style.display = show ? 'flex' : 'none';
+    if (show) {
+      document.getElementById('bulk-cancel-reason').focus();
+    } else {
+      form.reset();
     }
-    if (serviceId) {
-      filtered = filtered.filter(b => b.serviceId === serviceId);
+  }
+
+  /**
+   * Run a bulk action on the selected bookings. Bookings that succeed are
+   * deselected; ones that fail stay selected with their error listed.
+   */
+  async function runBulkAction(action, fields = {}) {
+    const ids = [...STATE.selectedBookingIds];
+    if (ids.length === 0) return;
+
+    try {
+      const { results } = await apiRequest('/api/bookings/bulk', {
+        method: 'POST',
+        body: JSON.stringify({ action, ids, ...fields })
+      });
+
+      const succeeded = results.filter(r => r.ok);
+      succeeded.forEach(result => {
+        const booking = STATE.bookings.find(b => b.id === result.id);
+        if (booking) Object.assign(booking, result.booking);
+      });
+      STATE.bulkFailures = results.filter(r => !r.ok);
+      STATE.selectedBookingIds = STATE.bulkFailures.map(r => r.id);
+
+      if (action !== 'reminder' && succeeded.length > 0) {
+        STATE.ledger = await apiRequest('/api/ledger');
+        STATE.customers = await apiRequest('/api/customers');
+      }
+
+      const verb = BULK_ACTION_LABELS[action];
+      if (STATE.bulkFailures.length === 0) {
+        showToast(`${succeeded.length} booking${succeeded.length === 1 ? '' : 's'} ${verb}`, 'success');
+      } else {
+        showToast(`${succeeded.length} of ${results.length} bookings ${verb}; ${STATE.bulkFailures.length} failed`, 'warning');
+      }
+
+      if (action === 'cancel') {
+        toggleBulkCancel(false);
+        for (const result of succeeded) {
+          await offerFreedSlot(result.booking.date, result.booking.stylistId);
+        }
+      }
+      renderBookings();
+
+    } catch (error) {
+      console.error('Failed to run bulk action:', error);
+      showToast(error.message || 'Failed to update bookings', 'error');
+    }
+  }
+
+  function applyBulkStatus() {
+    const status = document.getElementById('bulk-status').value;
+    if (!status) {
+      showToast('Choose a status', 'error');
+      return;
+    }
+    runBulkAction('status', { status });
+  }
+
+  function submitBulkCancel(e) {
+    e.preventDefault();
+    const reason = document.getElementById('bulk-cancel-reason').value.trim();
+    if (!reason) {
+      showToast('Enter a reason for cancelling', 'error');
+      return;
     }
-    if (status) {
-      filtered = filtered.filter(b => b.status === status);
+    const count = STATE.selectedBookingIds.length;
+    if (!confirm(`Cancel ${count} booking${count === 1 ? '' : 's'}? Customers are notified, and any deposits paid are kept as their credit.`)) return;
+    runBulkAction('cancel', { reason });
+  }
+
+  function exportSelectedBookings() {
+    const bookings = STATE.bookings.filter(b => STATE.selectedBookingIds.includes(b.id));
+    exportBookingsCSV(bookings);
+  }
+
+  function renderBookingsPagination(pagination) {
+    const container = document.getElementById('bookings-pagination');
+    if (!container) return;
+
+    const { page, limit, total, totalPages } = pagination;
+    if (total === 0) {
+      container.innerHTML = '';
+      return;
     }
 
-    renderBookingsTable(filtered);
+    const first = (page - 1) * limit + 1;
+    const last = Math.min(page * limit, total);
+    container.innerHTML = `
+      <span>Showing ${first}–${last} of ${total} booking${total === 1 ? '' : 's'}</span>
+      <div class="btn-group">
+        <button type="button" class="btn btn-secondary btn-sm" onclick="goToBookingsPage(${page - 1})" ${page <= 1 ? 'disabled' : ''}>Previous</button>
+        <span class="admin-pagination-page">Page ${page} of ${totalPages}</span>
+        <button type="button" class="btn btn-secondary btn-sm" onclick="goToBookingsPage(${page + 1})" ${page >= totalPages ? 'disabled' : ''}>Next</button>
+      </div>
+    `;
   }
 
   function renderBookingsTable(bookings) {
@@ -586,18 +1789,27 @@
     if (!tbody) return;
 
     if (bookings.length === 0) {
-      tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #737373; padding: var(--space-8);">No bookings found.</td></tr>';
+      tbody.innerHTML = '<tr><td colspan="8" style="text-align: center; color: #737373; padding: var(--space-8);">No bookings found.</td></tr>';
       return;
     }
 
     tbody.innerHTML = bookings.map(booking => `
-      <tr onclick="openBookingDrawer('${booking.id}')">
+      <tr onclick="openBookingDrawer('${booking.id}')" class="${STATE.selectedBookingIds.includes(booking.id) ? 'selected' : ''}">
+        <td onclick="event.stopPropagation()">
+          <input type="checkbox" class="booking-select" value="${booking.id}" onchange="toggleBookingSelection('${booking.id}', this.checked)"
+            ${STATE.selectedBookingIds.includes(booking.id) ? 'checked' : ''} aria-label="Select booking for ${escapeHtml(booking.customer.name)}">
+        </td>
         <td>${formatDateTime(booking.date, booking.time)}</td>
         <td>
           <div><strong>${escapeHtml(booking.customer.name)}</strong></div>
           <div style="font-size: var(--text-xs); color: #737373;">${escapeHtml(booking.customer.phone)}</div>
+          <div style="margin-top: var(--space-1);">${renderPhotoConsentBadge(booking.photoConsent)}</div>
+        </td>
+        <td>
+          <div>${escapeHtml(booking.serviceTitle)}</div>
+          ${booking.variantLabel ? `<div style="font-size: var(--text-xs); color: #737373;">${escapeHtml(booking.variantLabel)}</div>` : ''}
         </td>
-        <td>${escapeHtml(booking.serviceTitle)}</td>
+        <td>${escapeHtml(getBookingStylistName(booking))}</td>
         <td>${formatCurrency(booking.depositAmount || 0)}</td>
         <td>${renderStatusBadge(booking.status)}</td>
         <td>
@@ -624,6 +1836,16 @@
           <p><strong>Name:</strong> ${escapeHtml(booking.customer.name)}</p>
           <p><strong>Phone:</strong> <a href="tel:${booking.customer.phone}">${escapeHtml(booking.customer.phone)}</a></p>
           <p><strong>Email:</strong> <a href="mailto:${booking.customer.email}">${escapeHtml(booking.customer.email)}</a></p>
+          ${booking.manageToken ? `<p><strong>Manage link:</strong> <a href="${escapeHtml(getManageLink(booking))}" target="_blank" rel="noopener">Customer's booking page</a></p>` : ''}
+          <p><strong>Photos:</strong> ${renderPhotoConsentBadge(booking.photoConsent)}</p>
+        </div>
+        <div class="form-group" style="margin-top: var(--space-4);">
+          <label for="booking-photo-consent" class="form-label">Photo Consent</label>
+          <select id="booking-photo-consent" class="form-control" onchange="setBookingPhotoConsent('${booking.id}', this.value)">
+            ${!booking.photoConsent ? '<option value="" selected>Not asked</option>' : ''}
+            <option value="granted" ${booking.photoConsent === 'granted' ? 'selected' : ''}>Photos allowed</option>
+            <option value="declined" ${booking.photoConsent === 'declined' ? 'selected' : ''}>Opted out of photos</option>
+          </select>
         </div>
       </div>
 
@@ -631,20 +1853,52 @@
         <h4 style="margin-bottom: var(--space-2);">Appointment Details</h4>
         <div style="background: var(--stone); padding: var(--space-4); border-radius: var(--radius);">
           <p><strong>Service:</strong> ${escapeHtml(booking.serviceTitle)}</p>
+          ${booking.variantLabel ? `<p><strong>Size / Length:</strong> ${escapeHtml(booking.variantLabel)}</p>` : ''}
           <p><strong>Date & Time:</strong> ${formatDateTime(booking.date, booking.time)}</p>
-          <p><strong>Status:</strong> ${renderStatusBadge(booking.status)}</p>
+          ${booking.rescheduledFrom ? `<p><strong>Moved from:</strong> ${formatDateTime(booking.rescheduledFrom.date, booking.rescheduledFrom.time)}</p>` : ''}
+          <p><strong>Stylist:</strong> ${escapeHtml(getBookingStylistName(booking))}</p>
+          <p><strong>Status:</strong> ${renderStatusBadge(booking.status)}${booking.cancelledBy === 'customer' ? ' (by customer)' : ''}</p>
+          ${booking.cancelReason ? `<p><strong>Cancellation reason:</strong> ${escapeHtml(booking.cancelReason)}</p>` : ''}
         </div>
+        ${STATE.stylists.length > 0 ? `
+          <div class="form-group" style="margin-top: var(--space-4);">
+            <label for="booking-assign-stylist" class="form-label">Assign Stylist</label>
+            <select id="booking-assign-stylist" class="form-control" onchange="assignBookingStylist('${booking.id}', this.value)">
+              <option value="">Unassigned</option>
+              ${STATE.stylists.map(s => `
+                <option value="${s.id}" ${s.id === booking.stylistId ? 'selected' : ''}>${escapeHtml(s.name)}</option>
+              `).join('')}
+            </select>
+          </div>
+        ` : ''}
       </div>
 
+      ${renderCheckIn(booking)}
+
+      ${renderBookingMaterials(booking)}
+
       <div style="margin-bottom: var(--space-6);">
         <h4 style="margin-bottom: var(--space-2);">Payment Information</h4>
         <div style="background: var(--stone); padding: var(--space-4); border-radius: var(--radius);">
+          ${booking.addOns && booking.addOns.length > 0 ? `
+            <p><strong>Service:</strong> ${formatCurrency(booking.servicePrice ?? (booking.amountDue || 0) - booking.addOns.reduce((sum, a) => sum + a.price, 0))}</p>
+            ${booking.addOns.map(addOn => `
+              <p><strong>+ ${escapeHtml(addOn.name)}:</strong> ${formatCurrency(addOn.price)}${addOn.minutes ? ` (+${formatMinutes(addOn.minutes)})` : ''}</p>
+            `).join('')}
+          ` : ''}
           <p><strong>Total:</strong> ${formatCurrency(booking.amountDue || 0)}</p>
           <p><strong>Deposit:</strong> ${formatCurrency(booking.depositAmount || 0)}</p>
+          ${booking.creditApplied ? `<p><strong>Paid from credit:</strong> ${formatCurrency(booking.creditApplied)}</p>` : ''}
           <p><strong>Remaining:</strong> ${formatCurrency((booking.amountDue || 0) - (booking.depositAmount || 0))}</p>
+          ${booking.depositOutcome === 'credit' ? '<p><strong>Deposit outcome:</strong> Kept as credit (cancelled with notice)</p>' : ''}
+          ${booking.depositOutcome === 'forfeited' ? '<p><strong>Deposit outcome:</strong> Forfeited</p>' : ''}
         </div>
       </div>
 
+      ${renderCustomerHistory(booking)}
+
+      ${renderCustomerLedger(getBookingCustomer(booking))}
+
       ${booking.notes ? `
         <div style="margin-bottom: var(--space-6);">
           <h4 style="margin-bottom: var(--space-2);">Customer Notes</h4>
@@ -664,7 +1918,10 @@
             <button type="button" class="btn btn-primary btn-sm" onclick="updateBookingStatus('${booking.id}', 'completed')">Mark Completed</button>
           ` : ''}
           ${booking.status !== 'cancelled' && booking.status !== 'no_show' ? `
-            <button type="button" class="btn btn-secondary btn-sm" onclick="updateBookingStatus('${booking.id}', 'cancelled')">Cancel</button>
+            <button type="button" class="btn btn-secondary btn-sm" onclick="updateBookingStatus('${booking.id}', 'cancelled', { cancelledBy: 'customer' })"
+              title="The customer asked to cancel. Less than 48 hours ahead, the deposit is forfeited.">Customer Cancelled</button>
+            <button type="button" class="btn btn-secondary btn-sm" onclick="updateBookingStatus('${booking.id}', 'cancelled', { cancelledBy: 'salon' })"
+              title="The salon is cancelling. The deposit is kept as the customer's credit.">Salon Cancelled</button>
             <button type="button" class="btn btn-danger btn-sm" onclick="updateBookingStatus('${booking.id}', 'no_show')">Mark No-Show</button>
           ` : ''}
         </div>
@@ -675,6 +1932,277 @@
     overlay.classList.add('open');
   }
 
+  function renderCustomerLedger(customer) {
+    const { entries, balance } = window.SallyRules.getCustomerLedger(STATE.ledger, customer);
+    if (entries.length === 0) return '';
+
+    const typeLabels = { credit: 'Credit', debit: 'Used', forfeit: 'Forfeited' };
+
+    return `
+      <div style="margin-bottom: var(--space-6);">
+        <h4 style="margin-bottom: var(--space-2);">Deposit Credit</h4>
+        <div style="background: var(--stone); padding: var(--space-4); border-radius: var(--radius);">
+          ${entries.map(entry => `
+            <p><strong>${typeLabels[entry.type]} ${entry.type === 'credit' ? '+' : '−'}${formatCurrency(entry.amount)}:</strong> ${escapeHtml(entry.description)} <small style="color: #737373;">(${formatDate(entry.createdAt)})</small></p>
+          `).join('')}
+          <p><strong>Available credit:</strong> ${formatCurrency(balance)}</p>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Check-in form, or the recorded arrival with the lateness options
+   */
+  function renderCheckIn(booking) {
+    const isOpen = booking.status === 'deposit_pending' || booking.status === 'deposit_paid';
+    const checkIn = booking.checkIn;
+    const canCheckIn = isOpen && (!checkIn || checkIn.outcome === 'rescheduled');
+    if (!checkIn && !canCheckIn) return '';
+
+    const threshold = getLateArrivalMinutes();
+    const slotInterval = (STATE.settings && STATE.settings.slotInterval) || window.SallyRules.SLOT_INTERVAL;
+    const outcomeLabels = {
+      proceed: 'Full service as booked',
+      shortened: booking.durationMinutes
+        ? `Service shortened to ${formatMinutes(Math.max(booking.durationMinutes - (checkIn ? checkIn.minutesLate : 0), 0))} (ends at the booked time)`
+        : 'Service shortened (ends at the booked time)',
+      rescheduled: 'Rescheduled'
+    };
+
+    return `
+      <div style="margin-bottom: var(--space-6);">
+        <h4 style="margin-bottom: var(--space-2);">Arrival</h4>
+        ${checkIn ? `
+          <div style="background: var(--stone); padding: var(--space-4); border-radius: var(--radius);">
+            <p><strong>${checkIn.outcome === 'rescheduled' ? 'Previous arrival' : 'Arrived'}:</strong> ${formatArrivalTime(checkIn.arrivedAt)} (${checkIn.minutesLate > 0 ? `${checkIn.minutesLate} min late` : 'on time'})</p>
+            ${checkIn.outcome ? `<p><strong>Lateness outcome:</strong> ${outcomeLabels[checkIn.outcome]}</p>` : ''}
+          </div>
+        ` : ''}
+        ${checkIn && checkIn.isLate && !checkIn.outcome ? `
+          <p style="margin-top: var(--space-4); color: var(--primary);">Arrived ${checkIn.minutesLate} minutes late, past the ${threshold}-minute lateness policy.</p>
+          <div class="btn-group" style="margin-top: var(--space-2);">
+            <button type="button" class="btn btn-secondary btn-sm" onclick="resolveLateArrival('${booking.id}', 'proceed')">Proceed As Booked</button>
+            <button type="button" class="btn btn-secondary btn-sm" onclick="resolveLateArrival('${booking.id}', 'shortened')">Shorten Service</button>
+          </div>
+          <div class="form-row" style="margin-top: var(--space-4);">
+            <div class="form-group">
+              <label for="late-reschedule-date" class="form-label">New Date</label>
+              <input type="date" id="late-reschedule-date" class="form-control" min="${formatLocalDate(new Date())}">
+            </div>
+            <div class="form-group">
+              <label for="late-reschedule-time" class="form-label">New Time</label>
+              <input type="time" id="late-reschedule-time" class="form-control" value="${booking.time}" step="${slotInterval * 60}">
+            </div>
+          </div>
+          <button type="button" class="btn btn-primary btn-sm" onclick="resolveLateArrival('${booking.id}', 'rescheduled')">Reschedule</button>
+        ` : ''}
+        ${canCheckIn ? `
+          <div class="form-group" style="margin-top: var(--space-4);">
+            <label for="checkin-time" class="form-label">Arrival Time</label>
+            <input type="time" id="checkin-time" class="form-control" value="${getDefaultArrivalTime(booking)}">
+          </div>
+          <button type="button" class="btn btn-primary btn-sm" onclick="checkInBooking('${booking.id}')">Check In</button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  function formatArrivalTime(isoString) {
+    return new Date(isoString).toLocaleTimeString('en-CA', {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    });
+  }
+
+  /**
+   * Now on the appointment day, otherwise the booked time
+   */
+  function getDefaultArrivalTime(booking) {
+    const now = new Date();
+    if (formatLocalDate(now) !== booking.date) return booking.time;
+    return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+  }
+
+  async function checkInBooking(bookingId) {
+    const booking = STATE.bookings.find(b => b.id === bookingId);
+    const time = document.getElementById('checkin-time').value;
+    if (!booking || !time) {
+      showToast('Enter the arrival time', 'error');
+      return;
+    }
+
+    try {
+      const updated = await apiRequest(`/api/bookings/${bookingId}/check-in`, {
+        method: 'POST',
+        body: JSON.stringify({ arrivedAt: new Date(`${booking.date}T${time}:00`).toISOString() })
+      });
+
+      Object.assign(booking, updated);
+      STATE.customers = await apiRequest('/api/customers');
+
+      showToast(updated.checkIn.isLate ? `Checked in ${updated.checkIn.minutesLate} minutes late` : 'Checked in', updated.checkIn.isLate ? 'error' : 'success');
+      openBookingDrawer(bookingId);
+      renderCurrentPanel();
+
+    } catch (error) {
+      console.error('Failed to check in booking:', error);
+      showToast(error.message || 'Failed to check in', 'error');
+    }
+  }
+
+  async function resolveLateArrival(bookingId, outcome) {
+    const booking = STATE.bookings.find(b => b.id === bookingId);
+    if (!booking || !booking.checkIn) return;
+
+    const from = { date: booking.date, stylistId: booking.stylistId || null };
+    const updates = { checkIn: { ...booking.checkIn, outcome } };
+    if (outcome === 'rescheduled') {
+      const date = document.getElementById('late-reschedule-date').value;
+      const time = document.getElementById('late-reschedule-time').value;
+      if (!date || !time) {
+        showToast('Choose a new date and time', 'error');
+        return;
+      }
+      updates.date = date;
+      updates.time = time;
+    }
+
+    try {
+      const updated = await apiRequest(`/api/bookings/${bookingId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(updates)
+      });
+
+      Object.assign(booking, updated);
+
+      showToast(outcome === 'rescheduled' ? 'Booking rescheduled' : 'Lateness outcome saved', 'success');
+      openBookingDrawer(bookingId);
+      renderCurrentPanel();
+
+      if (outcome === 'rescheduled') {
+        await offerFreedSlot(from.date, from.stylistId);
+      }
+
+    } catch (error) {
+      console.error('Failed to update late arrival:', error);
+      showToast(error.message || 'Failed to update booking', 'error');
+    }
+  }
+
+  function getBookingCustomer(booking) {
+    return STATE.customers.find(c => c.id === booking.customerId) ||
+      window.SallyRules.findCustomer(STATE.customers, booking.customer);
+  }
+
+  /**
+   * No-show / late-cancel counts and the full-prepayment override
+   */
+  function renderCustomerHistory(booking) {
+    const customer = getBookingCustomer(booking);
+    if (!customer) return '';
+
+    const ruleApplies = window.SallyRules.requiresPrepayment({ ...customer, prepayOverride: null }, STATE.settings || {});
+
+    return `
+      <div style="margin-bottom: var(--space-6);">
+        <h4 style="margin-bottom: var(--space-2);">Customer History</h4>
+        <div style="background: var(--stone); padding: var(--space-4); border-radius: var(--radius);">
+          <p><strong>No-shows:</strong> ${customer.noShowCount || 0}</p>
+          <p><strong>Late cancellations:</strong> ${customer.lateCancelCount || 0}</p>
+          <p><strong>Late arrivals:</strong> ${customer.lateArrivalCount || 0} of ${customer.checkInCount || 0} check-ins${customer.checkInCount ? ` (average ${Math.round((customer.minutesLateTotal || 0) / customer.checkInCount)} min late)` : ''}</p>
+          <p><strong>Full prepayment:</strong> ${window.SallyRules.requiresPrepayment(customer, STATE.settings || {}) ? 'Required for new bookings' : 'Not required'}</p>
+          ${customer.photoConsent ? `<p><strong>Latest photo choice:</strong> ${customer.photoConsent === 'declined' ? 'Opted out' : 'Allowed'}${customer.photoConsentAt ? ` (${formatDate(customer.photoConsentAt)})` : ''}</p>` : ''}
+        </div>
+        <div class="form-group" style="margin-top: var(--space-4);">
+          <label for="booking-prepay-override" class="form-label">Prepayment Rule</label>
+          <select id="booking-prepay-override" class="form-control" onchange="setCustomerPrepay('${customer.id}', '${booking.id}', this.value)">
+            <option value="" ${!customer.prepayOverride ? 'selected' : ''}>Automatic (${ruleApplies ? 'currently required' : 'currently not required'})</option>
+            <option value="require" ${customer.prepayOverride === 'require' ? 'selected' : ''}>Always require full prepayment</option>
+            <option value="waive" ${customer.prepayOverride === 'waive' ? 'selected' : ''}>Never require full prepayment</option>
+          </select>
+        </div>
+      </div>
+    `;
+  }
+
+  async function setCustomerPrepay(customerId, bookingId, value) {
+    try {
+      const updated = await apiRequest(`/api/customers/${customerId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ prepayOverride: value || null })
+      });
+
+      const customer = STATE.customers.find(c => c.id === customerId);
+      if (customer) {
+        Object.assign(customer, updated);
+      }
+
+      showToast('Prepayment rule updated', 'success');
+      openBookingDrawer(bookingId);
+
+    } catch (error) {
+      console.error('Failed to update customer:', error);
+      showToast('Failed to update prepayment rule', 'error');
+    }
+  }
+
+  /**
+   * Materials the booking needs. Bookings made before the questionnaire for a
+   * service that now has one show a reminder to ask.
+   */
+  function getBookingMaterialLines(booking) {
+    if (Array.isArray(booking.materials)) {
+      return booking.materials.map(describeMaterialChoice);
+    }
+    const service = STATE.services.find(s => s.id === booking.serviceId);
+    return service && (service.materials || []).length > 0 ? ['Not asked at booking; check with the client'] : [];
+  }
+
+  function renderBookingMaterials(booking) {
+    const lines = getBookingMaterialLines(booking);
+    if (lines.length === 0) return '';
+
+    return `
+      <div style="margin-bottom: var(--space-6);">
+        <h4 style="margin-bottom: var(--space-2);">Hair & Materials</h4>
+        <div style="background: var(--stone); padding: var(--space-4); border-radius: var(--radius);">
+          ${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  async function setBookingPhotoConsent(bookingId, value) {
+    if (!value) return;
+
+    try {
+      const updated = await apiRequest(`/api/bookings/${bookingId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ photoConsent: value })
+      });
+
+      const booking = STATE.bookings.find(b => b.id === bookingId);
+      if (booking) {
+        Object.assign(booking, updated);
+      }
+      STATE.customers = await apiRequest('/api/customers');
+
+      showToast(value === 'declined' ? 'Customer opted out of photos' : 'Photo consent recorded', 'success');
+      openBookingDrawer(bookingId);
+      renderCurrentPanel();
+
+    } catch (error) {
+      console.error('Failed to update photo consent:', error);
+      showToast('Failed to update photo consent', 'error');
+    }
+  }
+
+  function getManageLink(booking) {
+    return new URL(`index.html?manage=${encodeURIComponent(booking.manageToken)}`, window.location.href).href;
+  }
+
   function closeBookingDrawer() {
     const drawer = document.getElementById('booking-drawer');
     const overlay = document.getElementById('booking-drawer-overlay');
@@ -682,21 +2210,30 @@
     overlay.classList.remove('open');
   }
 
-  async function updateBookingStatus(bookingId, newStatus) {
+  /**
+   * Change a booking's status. Cancellations say who cancelled in `fields`.
+   */
+  async function updateBookingStatus(bookingId, newStatus, fields = {}) {
     try {
-      await apiRequest(`/api/bookings/${bookingId}`, {
+      const updated = await apiRequest(`/api/bookings/${bookingId}`, {
         method: 'PATCH',
-        body: JSON.stringify({ status: newStatus })
+        body: JSON.stringify({ status: newStatus, ...fields })
       });
 
-      // Update local state
+      // Update local state (the server may also settle the deposit)
       const booking = STATE.bookings.find(b => b.id === bookingId);
       if (booking) {
-        booking.status = newStatus;
+        Object.assign(booking, updated, { status: newStatus });
       }
+      STATE.ledger = await apiRequest('/api/ledger');
+      STATE.customers = await apiRequest('/api/customers');
 
       showToast('Booking status updated', 'success');
       closeBookingDrawer();
+
+      if (booking && newStatus === 'cancelled') {
+        await offerFreedSlot(booking.date, booking.stylistId);
+      }
       renderCurrentPanel();
 
     } catch (error) {
@@ -705,15 +2242,59 @@
     }
   }
 
-  function exportBookingsCSV() {
-    const headers = ['Date', 'Time', 'Customer Name', 'Phone', 'Email', 'Service', 'Total', 'Deposit', 'Status'];
-    const rows = STATE.bookings.map(b => [
+  async function assignBookingStylist(bookingId, stylistId) {
+    const stylist = STATE.stylists.find(s => s.id === stylistId);
+    const updates = {
+      stylistId: stylist ? stylist.id : null,
+      stylistName: stylist ? stylist.name : null
+    };
+
+    try {
+      await apiRequest(`/api/bookings/${bookingId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(updates)
+      });
+
+      const booking = STATE.bookings.find(b => b.id === bookingId);
+      if (booking) {
+        Object.assign(booking, updates);
+      }
+
+      showToast('Stylist updated', 'success');
+      openBookingDrawer(bookingId);
+      renderCurrentPanel();
+
+    } catch (error) {
+      console.error('Failed to assign stylist:', error);
+      showToast(error.message || 'Failed to assign stylist', 'error');
+      openBookingDrawer(bookingId);
+    }
+  }
+
+  /**
+   * Export every booking, fetched when asked for rather than kept loaded
+   */
+  async function exportAllBookings() {
+    try {
+      exportBookingsCSV(await fetchBookings());
+    } catch (error) {
+      console.error('Failed to export bookings:', error);
+      showToast('Failed to export bookings', 'error');
+    }
+  }
+
+  function exportBookingsCSV(bookings) {
+    const headers = ['Date', 'Time', 'Customer Name', 'Phone', 'Email', 'Service', 'Variant', 'Add-ons', 'Stylist', 'Total', 'Deposit', 'Status'];
+    const rows = bookings.map(b => [
       b.date,
       b.time,
       b.customer.name,
       b.customer.phone,
       b.customer.email,
       b.serviceTitle,
+      b.variantLabel || '',
+      (b.addOns || []).map(addOn => addOn.name).join('; '),
+      b.stylistId ? getBookingStylistName(b) : '',
       b.amountDue || 0,
       b.depositAmount || 0,
       b.status
@@ -740,6 +2321,11 @@
   // ============================================
 
   function renderCalendar() {
+    renderSchedule();
+    renderBlockTable();
+  }
+
+  function renderBlockTable() {
     const container = document.getElementById('calendar-blocks-container');
     if (!container) return;
 
@@ -756,7 +2342,9 @@
           <thead>
             <tr>
               <th>Date</th>
+              <th>Repeats</th>
               <th>Type</th>
+              <th>Applies To</th>
               <th>Notes</th>
               <th>Actions</th>
             </tr>
@@ -764,11 +2352,16 @@
           <tbody>
             ${blocks.map(block => `
               <tr>
-                <td>${formatDate(block.date)}</td>
-                <td><span class="status-badge">${block.type || 'Blackout'}</span></td>
+                <td>${block.repeat ? 'From ' : ''}${formatDate(block.date)}${block.startTime && block.endTime ? `<br><small style="color: #737373;">${block.startTime}–${block.endTime}</small>` : ''}</td>
+                <td>${escapeHtml(describeBlockRepeat(block))}${(block.exceptions || []).length > 0 ? `<br><small style="color: #737373;">Except ${block.exceptions.map(formatDate).join(', ')}</small>` : ''}</td>
+                <td><span class="status-badge">${BLOCK_TYPES[block.type] || 'Blackout'}</span></td>
+                <td>${escapeHtml(block.stylistId ? getStylistName(block.stylistId) : 'Whole salon')}</td>
                 <td>${escapeHtml(block.notes || 'N/A')}</td>
                 <td>
-                  <button type="button" class="btn btn-danger btn-sm" onclick="deleteBlock('${block.id}')">Remove</button>
+                  <div class="btn-group">
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="openBlockDrawer('${block.id}')">Edit</button>
+                    <button type="button" class="btn btn-danger btn-sm" onclick="deleteBlock('${block.id}')">Remove</button>
+                  </div>
                 </td>
               </tr>
             `).join('')}
@@ -778,49 +2371,1531 @@
     `;
   }
 
-  async function addBlock() {
-    const date = prompt('Enter date to block (YYYY-MM-DD):');
-    if (!date) return;
+  const BLOCK_TYPES = {
+    blackout: 'Blackout',
+    lunch: 'Lunch',
+    personal: 'Personal'
+  };
 
-    const notes = prompt('Notes (optional):');
+  /**
+   * How often a block repeats, e.g. "Every 2 weeks on Mon, Wed until Dec 20, 2026"
+   */
+  function describeBlockRepeat(block) {
+    const { repeat } = block;
+    if (!repeat) return 'Once';
 
-    try {
-      await apiRequest('/api/availability/blocks', {
-        method: 'POST',
-        body: JSON.stringify({
-          date,
-          type: 'blackout',
-          notes: notes || ''
+    const until = repeat.until ? ` until ${formatDate(repeat.until)}` : '';
+    if (repeat.frequency === 'daily') return `Every day${until}`;
+
+    const weekdays = repeat.weekdays.map(day => day.charAt(0).toUpperCase() + day.slice(1, 3)).join(', ');
+    const every = repeat.interval > 1 ? `Every ${repeat.interval} weeks on` : 'Every';
+    return `${every} ${weekdays}${until}`;
+  }
+
+  function isValidDate(value) {
+    const date = new Date(`${value}T00:00:00`);
+    return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(date) && formatLocalDate(date) === value;
+  }
+
+  /**
+   * Problem with a block's fields, or null if it's valid
+   */
+  function validateBlock(block) {
+    if (!isValidDate(block.date)) {
+      return 'Enter a valid date';
+    }
+    if (!BLOCK_TYPES[block.type]) {
+      return 'Choose a block type';
+    }
+    if (Boolean(block.startTime) !== Boolean(block.endTime)) {
+      return 'Enter both a start and an end time';
+    }
+    if (block.startTime && !(/^\d{2}:\d{2}$/.test(block.startTime) && /^\d{2}:\d{2}$/.test(block.endTime) && block.startTime < block.endTime)) {
+      return 'End time must be after start time';
+    }
+
+    const { repeat } = block;
+    if (!repeat) return null;
+    if (repeat.frequency !== 'daily' && repeat.frequency !== 'weekly') {
+      return 'Choose how often the block repeats';
+    }
+    if (repeat.frequency === 'weekly') {
+      if (!Array.isArray(repeat.weekdays) || repeat.weekdays.length === 0 || !repeat.weekdays.every(day => WEEKDAYS.includes(day))) {
+        return 'Choose the days the block repeats on';
+      }
+      if (!Number.isInteger(repeat.interval) || repeat.interval < 1 || repeat.interval > CONFIG.BLOCK_MAX_INTERVAL) {
+        return `Repeat every 1 to ${CONFIG.BLOCK_MAX_INTERVAL} weeks`;
+      }
+    }
+    if (repeat.until && !isValidDate(repeat.until)) {
+      return 'Enter a valid end date';
+    }
+    if (repeat.until && repeat.until < block.date) {
+      return 'End date must be on or after the start date';
+    }
+    if (!(block.exceptions || []).every(isValidDate)) {
+      return 'Enter valid dates to skip';
+    }
+    return null;
+  }
+
+  /**
+   * Open bookings a block would overlap on any day it applies. A stylist's
+   * block only affects their own bookings and ones with no stylist; a
+   * whole-salon block affects all. Only the block's date range is fetched.
+   */
+  async function getBlockConflicts(block) {
+    const bookings = await fetchBookings({
+      dateFrom: block.date,
+      dateTo: block.repeat ? block.repeat.until : block.date
+    });
+    return bookings.filter(booking => {
+      if (booking.status !== 'deposit_pending' && booking.status !== 'deposit_paid') return false;
+      if (!booking.time || !window.SallyRules.blockOccursOn(block, booking.date)) return false;
+      if (block.stylistId && booking.stylistId && booking.stylistId !== block.stylistId) return false;
+      if (!block.startTime) return true;
+
+      const start = timeToMinutes(booking.time);
+      const end = start + (booking.durationMinutes || SCHEDULE_DEFAULT_MINUTES);
+      return start < timeToMinutes(block.endTime) && end > timeToMinutes(block.startTime);
+    }).sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+  }
+
+  /**
+   * Whether block a covers all of block b's time (same day and chair)
+   */
+  function blockContains(a, b) {
+    if (!a.startTime) return true;
+    if (!b.startTime) return false;
+    return a.startTime <= b.startTime && a.endTime >= b.endTime;
+  }
+
+  /**
+   * Block for the drawer's fields. A date range is saved as a daily rule.
+   */
+  function readBlockForm() {
+    const formData = new FormData(document.getElementById('block-form'));
+    const allDay = formData.get('allDay') === 'on';
+    const frequency = formData.get('repeat');
+
+    const block = {
+      date: formData.get('date'),
+      type: formData.get('type'),
+      startTime: allDay ? null : formData.get('startTime'),
+      endTime: allDay ? null : formData.get('endTime'),
+      stylistId: formData.get('stylistId') || null,
+      notes: (formData.get('notes') || '').trim()
+    };
+    if (frequency) {
+      block.repeat = {
+        frequency,
+        interval: frequency === 'weekly' ? Number(formData.get('interval')) : 1,
+        weekdays: frequency === 'weekly' ? formData.getAll('weekdays') : [],
+        until: formData.get('until') || null
+      };
+      block.exceptions = STATE.blockExceptions.filter(date => date >= block.date).sort();
+    }
+
+    const error = validateBlock(block);
+    return { block: error ? null : block, error };
+  }
+
+  function toggleBlockTimes() {
+    const allDay = document.getElementById('block-form-all-day').checked;
+    document.getElementById('block-time-fields').style.display = allDay ? 'none' : 'grid';
+    document.getElementById('block-form-start-time').required = !allDay;
+    document.getElementById('block-form-end-time').required = !allDay;
+  }
+
+  function toggleBlockRepeat() {
+    const frequency = document.getElementById('block-form-repeat').value;
+    document.getElementById('block-date-label').textContent = frequency ? 'Starting' : 'Date';
+    document.getElementById('block-until-group').style.display = frequency ? 'block' : 'none';
+    document.getElementById('block-weekly-fields').style.display = frequency === 'weekly' ? 'block' : 'none';
+    document.getElementById('block-exceptions-group').style.display = frequency ? 'block' : 'none';
+
+    // Start weekly rules on the chosen date's weekday
+    const checked = document.querySelectorAll('#block-weekly-fields input[name="weekdays"]:checked');
+    const date = document.getElementById('block-form-date').value;
+    if (frequency === 'weekly' && checked.length === 0 && isValidDate(date)) {
+      const weekday = WEEKDAYS[new Date(`${date}T00:00:00`).getDay()];
+      document.querySelector(`#block-weekly-fields input[value="${weekday}"]`).checked = true;
+    }
+  }
+
+  function renderBlockExceptions() {
+    const list = document.getElementById('block-exceptions-list');
+    if (STATE.blockExceptions.length === 0) {
+      list.innerHTML = '<li class="block-exceptions-empty">No skipped days</li>';
+      return;
+    }
+    list.innerHTML = STATE.blockExceptions.map(date => `
+      <li>
+        <span>${formatDate(date)}</span>
+        <button type="button" class="btn btn-secondary btn-sm" onclick="removeBlockException('${date}')" aria-label="Stop skipping ${formatDate(date)}">Remove</button>
+      </li>
+    `).join('');
+  }
+
+  function addBlockException() {
+    const input = document.getElementById('block-form-exception');
+    if (!isValidDate(input.value)) {
+      showToast('Enter a valid date to skip', 'error');
+      return;
+    }
+    if (!STATE.blockExceptions.includes(input.value)) {
+      STATE.blockExceptions = [...STATE.blockExceptions, input.value].sort();
+    }
+    input.value = '';
+    renderBlockExceptions();
+    updateBlockConflicts();
+  }
+
+  function removeBlockException(date) {
+    STATE.blockExceptions = STATE.blockExceptions.filter(d => d !== date);
+    renderBlockExceptions();
+    updateBlockConflicts();
+  }
+
+  /**
+   * List the bookings the block form would overlap. Responses to earlier
+   * edits that arrive late are ignored.
+   */
+  async function updateBlockConflicts() {
+    const container = document.getElementById('block-form-conflicts');
+    const request = ++STATE.blockConflictRequest;
+    const { block, error } = readBlockForm();
+
+    let conflicts = [];
+    try {
+      conflicts = error ? [] : await getBlockConflicts(block);
+    } catch (loadError) {
+      console.error('Failed to check block conflicts:', loadError);
+    }
+    if (request !== STATE.blockConflictRequest) return;
+
+    if (conflicts.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="block-conflicts" role="alert">
+        <strong>${conflicts.length} booking${conflicts.length === 1 ? '' : 's'} in this time</strong>
+        <p>Blocking the time doesn't cancel or move them.</p>
+        <ul>
+          ${conflicts.map(booking => `
+            <li>
+              <a href="#" onclick="openBookingDrawer('${booking.id}'); return false;">
+                ${formatDate(booking.date)} ${formatTimeLabel(booking.time)}: ${escapeHtml(booking.customer.name)}
+              </a>
+              <small>${escapeHtml([booking.serviceTitle, booking.stylistName].filter(Boolean).join(' · '))}</small>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Add a block, or edit one when given its id. Dragging on the schedule
+   * passes the dragged date and times as defaults; clicking one day of a
+   * repeating block passes that day's date so it can be skipped.
+   */
+  function openBlockDrawer(blockId = null, defaults = {}) {
+    const block = blockId ? (STATE.blocks || []).find(b => b.id === blockId) : null;
+    if (blockId && !block) return;
+
+    const values = block || { type: 'blackout', stylistId: STATE.schedule.stylistId || null, ...defaults };
+    const repeat = values.repeat || {};
+    STATE.editingBlock = block;
+    STATE.blockOccurrence = block && block.repeat && defaults.date ? defaults.date : null;
+    STATE.blockExceptions = [...(values.exceptions || [])];
+
+    const form = document.getElementById('block-form');
+    form.reset();
+    document.getElementById('block-drawer-title').textContent = block ? 'Edit Block' : 'Add Block';
+
+    const stylistSelect = document.getElementById('block-form-stylist');
+    stylistSelect.innerHTML = `
+      <option value="">Whole salon</option>
+      ${STATE.stylists.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join('')}
+    `;
+    stylistSelect.value = values.stylistId || '';
+    document.getElementById('block-form-stylist-group').style.display = STATE.stylists.length > 0 ? 'block' : 'none';
+
+    document.getElementById('block-form-date').value = values.date || '';
+    document.getElementById('block-form-repeat').value = repeat.frequency || '';
+    document.getElementById('block-form-interval').value = repeat.interval || 1;
+    document.getElementById('block-form-until').value = repeat.until || '';
+    document.querySelectorAll('#block-weekly-fields input[name="weekdays"]').forEach(input => {
+      input.checked = (repeat.weekdays || []).includes(input.value);
+    });
+    document.getElementById('block-form-type').value = values.type || 'blackout';
+    document.getElementById('block-form-all-day').checked = !values.startTime;
+    document.getElementById('block-form-start-time').value = values.startTime || '';
+    document.getElementById('block-form-end-time').value = values.endTime || '';
+    document.getElementById('block-form-notes').value = values.notes || '';
+    document.getElementById('delete-block-form').style.display = block ? 'inline-flex' : 'none';
+
+    const skipButton = document.getElementById('skip-block-occurrence');
+    skipButton.style.display = STATE.blockOccurrence ? 'inline-flex' : 'none';
+    skipButton.textContent = STATE.blockOccurrence ? `Skip ${formatDate(STATE.blockOccurrence)}` : 'Skip This Day';
+
+    toggleBlockTimes();
+    toggleBlockRepeat();
+    renderBlockExceptions();
+    updateBlockConflicts();
+
+    document.getElementById('block-drawer').classList.add('open');
+    document.getElementById('block-drawer-overlay').classList.add('open');
+    document.getElementById('block-form-date').focus();
+  }
+
+  function closeBlockDrawer() {
+    document.getElementById('block-drawer').classList.remove('open');
+    document.getElementById('block-drawer-overlay').classList.remove('open');
+    STATE.editingBlock = null;
+    STATE.blockOccurrence = null;
+    STATE.blockExceptions = [];
+  }
+
+  /**
+   * Offer the waitlist days a removed or edited block no longer covers
+   */
+  async function offerFreedBlockTime(previous, updated = null) {
+    const today = formatLocalDate(new Date());
+    const dates = [...new Set(STATE.waitlist
+      .filter(e => e.status === 'waiting' && e.date >= today)
+      .map(e => e.date))];
+
+    for (const date of dates.filter(d => window.SallyRules.blockOccursOn(previous, d))) {
+      const stillBlocked = updated &&
+        window.SallyRules.blockOccursOn(updated, date) &&
+        (previous.stylistId || null) === updated.stylistId &&
+        blockContains(updated, previous);
+      if (!stillBlocked) {
+        await offerFreedSlot(date, previous.stylistId);
+      }
+    }
+  }
+
+  async function saveBlock() {
+    const { block, error } = readBlockForm();
+    if (error) {
+      showToast(error, 'error');
+      return;
+    }
+
+    let conflicts;
+    try {
+      conflicts = await getBlockConflicts(block);
+    } catch (loadError) {
+      console.error('Failed to check block conflicts:', loadError);
+      showToast('Couldn\'t check for bookings in this time. Try again.', 'error');
+      return;
+    }
+    if (conflicts.length > 0 && !confirm(`${conflicts.length} booking(s) overlap this block. Blocking the time doesn't cancel them. Save anyway?`)) {
+      return;
+    }
+
+    const previous = STATE.editingBlock;
+    try {
+      if (previous) {
+        await apiRequest(`/api/availability/blocks/${previous.id}`, {
+          method: 'PUT',
+          body: JSON.stringify(block)
+        });
+      } else {
+        await apiRequest('/api/availability/blocks', {
+          method: 'POST',
+          body: JSON.stringify(block)
+        });
+      }
+
+      STATE.blocks = await apiRequest('/api/availability/blocks');
+      closeBlockDrawer();
+      renderCalendar();
+      showToast(previous ? 'Block updated' : 'Block added successfully', 'success');
+
+      // Time the block no longer covers can go to the waitlist
+      if (previous) {
+        await offerFreedBlockTime(previous, block);
+      }
+
+    } catch (error) {
+      console.error('Failed to save block:', error);
+      showToast(error.message || 'Failed to save block', 'error');
+    }
+  }
+
+  /**
+   * Reopen one day of a repeating block by adding it to the exceptions
+   */
+  async function skipBlockOccurrence() {
+    const block = STATE.editingBlock;
+    const date = STATE.blockOccurrence;
+    if (!block || !date) return;
+
+    try {
+      const { id, createdAt, ...fields } = block;
+      await apiRequest(`/api/availability/blocks/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ ...fields, exceptions: [...(block.exceptions || []), date].sort() })
+      });
+
+      STATE.blocks = await apiRequest('/api/availability/blocks');
+      closeBlockDrawer();
+      renderCalendar();
+      showToast(`${formatDate(date)} is no longer blocked`, 'success');
+
+      await offerFreedBlockTime({ ...block, repeat: null, date });
+
+    } catch (error) {
+      console.error('Failed to skip block day:', error);
+      showToast(error.message || 'Failed to skip this day', 'error');
+    }
+  }
+
+  /**
+   * Blocks covering the same time on the same chair. `a` may be a repeating
+   * block that covers b's date.
+   */
+  function isSameBlock(a, b) {
+    return window.SallyRules.blockOccursOn(a, b.date) &&
+      (a.startTime || null) === (b.startTime || null) &&
+      (a.endTime || null) === (b.endTime || null) &&
+      (a.stylistId || null) === (b.stylistId || null);
+  }
+
+  function formatLocalDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  function formatLocalTime(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  }
+
+  /**
+   * One partial-day block per day a timed event covers. An event running past
+   * midnight blocks until 23:59 and continues from 00:00 the next day.
+   */
+  function occurrenceToBlocks(occurrence, from) {
+    const blocks = [];
+    let day = new Date(occurrence.start.getFullYear(), occurrence.start.getMonth(), occurrence.start.getDate());
+
+    while (day < occurrence.end) {
+      const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+      const start = occurrence.start > day ? occurrence.start : day;
+      const end = occurrence.end < nextDay ? occurrence.end : nextDay;
+
+      if (day >= from && end > start) {
+        blocks.push({
+          date: formatLocalDate(day),
+          type: 'personal',
+          startTime: formatLocalTime(start),
+          endTime: end < nextDay ? formatLocalTime(end) : '23:59',
+          notes: occurrence.summary
+        });
+      }
+      day = nextDay;
+    }
+    return blocks;
+  }
+
+  function handleIcsImport(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const today = new Date();
+        const from = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        const to = new Date(from.getFullYear(), from.getMonth() + CONFIG.ICS_IMPORT_MONTHS, from.getDate());
+        const occurrences = window.SallyICal.parseCalendar(reader.result, { from, to });
+
+        const blocks = [];
+        occurrences.filter(occurrence => !occurrence.allDay).forEach(occurrence => {
+          occurrenceToBlocks(occurrence, from).forEach(block => {
+            // The same time twice in one file is imported once
+            if (!blocks.some(existing => isSameBlock(existing, block))) blocks.push(block);
+          });
+        });
+
+        STATE.icsImport = {
+          fileName: file.name,
+          blocks: blocks.map(block => ({ ...block, selected: true })),
+          allDayCount: occurrences.filter(occurrence => occurrence.allDay).length,
+          stylistId: null
+        };
+        renderIcsImport();
+      } catch (error) {
+        console.error('Failed to read calendar file:', error);
+        showToast('Could not read that calendar file', 'error');
+      }
+    };
+    reader.onerror = () => showToast('Could not read that calendar file', 'error');
+    reader.readAsText(file);
+  }
+
+  function renderIcsImport() {
+    const card = document.getElementById('ics-import-card');
+    const container = document.getElementById('ics-import-container');
+    if (!card || !container) return;
+
+    const importState = STATE.icsImport;
+    if (!importState) {
+      card.style.display = 'none';
+      return;
+    }
+    card.style.display = '';
+
+    const stylistGroup = document.getElementById('ics-import-stylist-group');
+    const stylistSelect = document.getElementById('ics-import-stylist');
+    stylistGroup.style.display = STATE.stylists.length > 0 ? '' : 'none';
+    stylistSelect.innerHTML = `
+      <option value="">Whole salon</option>
+      ${STATE.stylists.map(s => `<option value="${s.id}" ${s.id === importState.stylistId ? 'selected' : ''}>${escapeHtml(s.name)}</option>`).join('')}
+    `;
+
+    importState.blocks.forEach(block => {
+      block.stylistId = importState.stylistId;
+      block.duplicate = STATE.blocks.some(existing => isSameBlock(existing, block));
+    });
+
+    const newCount = importState.blocks.filter(block => !block.duplicate).length;
+    const allDayNote = importState.allDayCount > 0
+      ? ` ${importState.allDayCount} all-day event${importState.allDayCount === 1 ? ' was' : 's were'} left out; use Add Block to close whole days.`
+      : '';
+    document.getElementById('ics-import-summary').textContent =
+      `${importState.fileName}: ${newCount} new block${newCount === 1 ? '' : 's'} in the next ${CONFIG.ICS_IMPORT_MONTHS} months, ` +
+      `${importState.blocks.length - newCount} already blocked.${allDayNote}`;
+
+    if (importState.blocks.length === 0) {
+      container.innerHTML = '<p style="color: #737373; text-align: center; padding: var(--space-6);">No upcoming timed events in this file.</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="admin-table-wrapper">
+        <table class="admin-table">
+          <thead>
+            <tr>
+              <th>Import</th>
+              <th>Date</th>
+              <th>Time</th>
+              <th>Event</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${importState.blocks.map((block, index) => `
+              <tr>
+                <td>
+                  <input type="checkbox" data-index="${index}" aria-label="Import ${escapeHtml(block.notes || 'event')} on ${block.date}"
+                    ${block.selected && !block.duplicate ? 'checked' : ''} ${block.duplicate ? 'disabled' : ''}>
+                </td>
+                <td>${formatDate(block.date)}</td>
+                <td>${block.startTime}–${block.endTime}</td>
+                <td>
+                  ${escapeHtml(block.notes || 'Untitled event')}
+                  ${block.duplicate ? '<br><small style="color: #737373;">Already blocked</small>' : ''}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        importState.blocks[checkbox.dataset.index].selected = checkbox.checked;
+      });
+    });
+  }
+
+  async function confirmIcsImport() {
+    const importState = STATE.icsImport;
+    if (!importState) return;
+
+    const blocks = importState.blocks
+      .filter(block => block.selected && !block.duplicate)
+      .map(({ selected, duplicate, ...block }) => block);
+    if (blocks.length === 0) {
+      showToast('No new blocks selected', 'error');
+      return;
+    }
+
+    try {
+      const result = await apiRequest('/api/availability/blocks/import', {
+        method: 'POST',
+        body: JSON.stringify({ blocks })
+      });
+
+      STATE.icsImport = null;
+      STATE.blocks = await apiRequest('/api/availability/blocks');
+      renderIcsImport();
+      renderCalendar();
+
+      const skipped = result.skipped ? ` (${result.skipped} already blocked)` : '';
+      showToast(`Imported ${result.created.length} block${result.created.length === 1 ? '' : 's'}${skipped}`, 'success');
+      if (result.rejected.length > 0) {
+        console.warn('Blocks not imported:', result.rejected);
+        showToast(`${result.rejected.length} block${result.rejected.length === 1 ? ' was' : 's were'} not imported: ${result.rejected[0].error}`, 'warning');
+      }
+
+    } catch (error) {
+      console.error('Failed to import blocks:', error);
+      showToast('Failed to import blocks', 'error');
+    }
+  }
+
+  function cancelIcsImport() {
+    STATE.icsImport = null;
+    renderIcsImport();
+  }
+
+  async function deleteBlock(blockId) {
+    if (!confirm('Remove this block?')) return;
+
+    try {
+      const block = (STATE.blocks || []).find(b => b.id === blockId);
+      await apiRequest(`/api/availability/blocks/${blockId}`, { method: 'DELETE' });
+
+      STATE.blocks = STATE.blocks.filter(b => b.id !== blockId);
+      if (STATE.editingBlock && STATE.editingBlock.id === blockId) {
+        closeBlockDrawer();
+      }
+      renderCalendar();
+      showToast('Block removed', 'success');
+
+      if (block) {
+        await offerFreedBlockTime(block);
+      }
+
+    } catch (error) {
+      console.error('Failed to delete block:', error);
+      showToast('Failed to remove block', 'error');
+    }
+  }
+
+  // ============================================
+  // Schedule Grid
+  // ============================================
+
+  // Bookings saved before durations were stored (ical.js uses the same)
+  const SCHEDULE_DEFAULT_MINUTES = 60;
+
+  const SCHEDULE_STATUS_LABELS = {
+    deposit_pending: 'Deposit pending',
+    deposit_paid: 'Confirmed',
+    completed: 'Completed',
+    no_show: 'No-show'
+  };
+
+  function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  function minutesToTime(totalMinutes) {
+    return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+  }
+
+  function formatTimeLabel(time) {
+    return new Date(`2000-01-01T${time}:00`).toLocaleTimeString('en-CA', { hour: 'numeric', minute: '2-digit' });
+  }
+
+  /**
+   * The day shown, or Sunday to Saturday of the week it falls in
+   */
+  function getScheduleDays() {
+    const { view, date } = STATE.schedule;
+    const first = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (view === 'week' ? date.getDay() : 0));
+    return Array.from({ length: view === 'week' ? 7 : 1 }, (_, i) =>
+      new Date(first.getFullYear(), first.getMonth(), first.getDate() + i)
+    );
+  }
+
+  function shiftSchedule(direction) {
+    const { view, date } = STATE.schedule;
+    STATE.schedule.date = direction === 0
+      ? new Date()
+      : new Date(date.getFullYear(), date.getMonth(), date.getDate() + direction * (view === 'week' ? 7 : 1));
+    renderSchedule();
+  }
+
+  function setScheduleView(view) {
+    STATE.schedule.view = view;
+    renderSchedule();
+  }
+
+  /**
+   * Bookings and blocks on the grid, as minute ranges. Cancelled bookings free
+   * their time, so they're left off.
+   */
+  function getScheduleItems(dateKeys, dayBookings) {
+    const { stylistId } = STATE.schedule;
+
+    const bookings = dayBookings
+      .filter(b => dateKeys.includes(b.date) && b.time && b.status !== 'cancelled')
+      .filter(b => !stylistId || b.stylistId === stylistId)
+      .map(booking => {
+        const start = timeToMinutes(booking.time);
+        return { booking, date: booking.date, start, end: start + (booking.durationMinutes || SCHEDULE_DEFAULT_MINUTES) };
+      });
+
+    const blocks = dateKeys
+      .flatMap(date => window.SallyRules.getBlocksOn(STATE.blocks || [], date))
+      .filter(b => !stylistId || !b.stylistId || b.stylistId === stylistId)
+      .map(block => ({
+        block,
+        date: block.date,
+        start: block.startTime ? timeToMinutes(block.startTime) : null,
+        end: block.endTime ? timeToMinutes(block.endTime) : null
+      }));
+
+    return { bookings, blocks };
+  }
+
+  /**
+   * Whole hours from the earliest opening to the latest closing of the days
+   * shown, stretched to fit anything booked or blocked outside them
+   */
+  function getScheduleRange(days, items) {
+    const schedule = getSchedule(STATE.settings || getDefaultSettings());
+    const times = [];
+
+    days.forEach(day => {
+      const hours = schedule[WEEKDAYS[day.getDay()]];
+      if (hours && !hours.closed) times.push(timeToMinutes(hours.open), timeToMinutes(hours.close));
+    });
+    [...items.bookings, ...items.blocks].forEach(item => {
+      if (item.start !== null) times.push(item.start, item.end);
+    });
+
+    if (times.length === 0) return { start: 7 * 60, end: 19 * 60 };
+    return {
+      start: Math.floor(Math.min(...times) / 60) * 60,
+      end: Math.min(Math.ceil(Math.max(...times) / 60) * 60, 24 * 60)
+    };
+  }
+
+  /**
+   * Put overlapping bookings side by side. Each item gets a lane and the
+   * number of lanes in its group of overlapping items.
+   */
+  function layoutLanes(items) {
+    const sorted = [...items].sort((a, b) => a.start - b.start || b.end - a.end);
+    let group = [];
+    let groupEnd = -1;
+
+    const closeGroup = () => {
+      const lanes = Math.max(...group.map(item => item.lane)) + 1;
+      group.forEach(item => { item.lanes = lanes; });
+      group = [];
+    };
+
+    sorted.forEach(item => {
+      if (group.length > 0 && item.start >= groupEnd) closeGroup();
+
+      const laneEnds = [];
+      group.forEach(other => {
+        laneEnds[other.lane] = Math.max(laneEnds[other.lane] || 0, other.end);
+      });
+      const freeLane = laneEnds.findIndex(end => end <= item.start);
+      item.lane = freeLane === -1 ? laneEnds.length : freeLane;
+
+      group.push(item);
+      groupEnd = Math.max(groupEnd, item.end);
+    });
+    if (group.length > 0) closeGroup();
+
+    return sorted;
+  }
+
+  /**
+   * Draw the day or week, fetching only its bookings. Responses for a
+   * range the user has already moved past are ignored.
+   */
+  async function renderSchedule() {
+    const container = document.getElementById('schedule-grid');
+    if (!container) return;
+
+    const days = getScheduleDays();
+    const dateKeys = days.map(formatLocalDate);
+    const request = ++STATE.scheduleRequest;
+    let dayBookings;
+    try {
+      dayBookings = await fetchBookings({ dateFrom: dateKeys[0], dateTo: dateKeys[dateKeys.length - 1] });
+    } catch (error) {
+      console.error('Failed to load schedule:', error);
+      showToast('Failed to load schedule', 'error');
+      return;
+    }
+    if (request !== STATE.scheduleRequest) return;
+
+    const stylistSelect = document.getElementById('schedule-stylist');
+    if (stylistSelect) {
+      stylistSelect.innerHTML = `
+        <option value="">All stylists</option>
+        ${STATE.stylists.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join('')}
+      `;
+      stylistSelect.value = STATE.schedule.stylistId;
+      stylistSelect.hidden = STATE.stylists.length === 0;
+    }
+    document.querySelectorAll('[data-schedule-view]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.scheduleView === STATE.schedule.view));
+    });
+
+    const items = getScheduleItems(dateKeys, dayBookings);
+    const range = getScheduleRange(days, items);
+    const schedule = getSchedule(STATE.settings || getDefaultSettings());
+    const pxPerMinute = CONFIG.SCHEDULE_HOUR_HEIGHT / 60;
+    const toPx = minutes => (Math.min(Math.max(minutes, range.start), range.end) - range.start) * pxPerMinute;
+    const todayKey = formatLocalDate(new Date());
+
+    const first = days[0];
+    const last = days[days.length - 1];
+    document.getElementById('schedule-title').textContent = days.length === 1
+      ? first.toLocaleDateString('en-CA', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
+      : `${first.toLocaleDateString('en-CA', { month: 'short', day: 'numeric' })} – ${last.toLocaleDateString('en-CA', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+    const hourLabels = [];
+    for (let minutes = range.start; minutes < range.end; minutes += 60) {
+      hourLabels.push(`<div class="schedule-hour">${formatTimeLabel(minutesToTime(minutes))}</div>`);
+    }
+
+    const renderClosed = (day) => {
+      const hours = schedule[WEEKDAYS[day.getDay()]];
+      if (!hours || hours.closed) {
+        return '<div class="schedule-closed" style="top: 0; height: 100%;"></div>';
+      }
+      const open = timeToMinutes(hours.open);
+      const close = timeToMinutes(hours.close);
+      return [
+        open > range.start ? `<div class="schedule-closed" style="top: 0; height: ${toPx(open)}px;"></div>` : '',
+        close < range.end ? `<div class="schedule-closed" style="top: ${toPx(close)}px; bottom: 0;"></div>` : ''
+      ].join('');
+    };
+
+    const renderBlock = ({ block, start, end }) => {
+      const label = [block.notes || 'Blocked', block.stylistId ? getStylistName(block.stylistId) : ''].filter(Boolean).join(' · ');
+      const position = start === null
+        ? 'top: 0; height: 100%;'
+        : `top: ${toPx(start)}px; height: ${Math.max(toPx(end) - toPx(start), 12)}px;`;
+      return `
+        <button type="button" class="schedule-block" style="${position}" onclick="openBlockDrawer('${block.id}', { date: '${block.date}' })"
+          title="${escapeHtml(`${BLOCK_TYPES[block.type] || 'Blackout'}${block.startTime ? ` ${block.startTime}–${block.endTime}` : ''}: ${label}${block.repeat ? ` (${describeBlockRepeat(block)})` : ''}`)}">
+          <span>${escapeHtml(label)}</span>
+        </button>
+      `;
+    };
+
+    const renderBooking = ({ booking, start, end, lane, lanes }) => {
+      const service = booking.variantLabel ? `${booking.serviceTitle} (${booking.variantLabel})` : booking.serviceTitle;
+      const details = [service, booking.stylistName].filter(Boolean).join(' · ');
+      return `
+        <button type="button" class="schedule-booking status-${booking.status}"
+          style="top: ${toPx(start)}px; height: ${Math.max(toPx(end) - toPx(start), 18)}px; left: calc(${lane} * 100% / ${lanes}); width: calc(100% / ${lanes});"
+          onclick="openBookingDrawer('${booking.id}')"
+          title="${escapeHtml(`${formatTimeLabel(minutesToTime(start))}–${formatTimeLabel(minutesToTime(end % (24 * 60)))} ${booking.customer.name}: ${details} (${SCHEDULE_STATUS_LABELS[booking.status] || booking.status})`)}">
+          <strong>${formatTimeLabel(booking.time)} ${escapeHtml(booking.customer.name)}</strong>
+          <span>${escapeHtml(details)}</span>
+        </button>
+      `;
+    };
+
+    container.innerHTML = `
+      <div class="schedule" style="--schedule-days: ${days.length}; --schedule-hour-height: ${CONFIG.SCHEDULE_HOUR_HEIGHT}px;">
+        <div class="schedule-corner"></div>
+        ${days.map(day => `
+          <div class="schedule-day-label ${formatLocalDate(day) === todayKey ? 'today' : ''}">
+            ${day.toLocaleDateString('en-CA', { weekday: 'short', month: 'short', day: 'numeric' })}
+          </div>
+        `).join('')}
+        <div class="schedule-hours">${hourLabels.join('')}</div>
+        ${days.map((day, i) => `
+          <div class="schedule-day" data-date="${dateKeys[i]}" style="height: ${toPx(range.end)}px;">
+            ${renderClosed(day)}
+            ${items.blocks.filter(item => item.date === dateKeys[i]).map(renderBlock).join('')}
+            ${layoutLanes(items.bookings.filter(item => item.date === dateKeys[i])).map(renderBooking).join('')}
+          </div>
+        `).join('')}
+      </div>
+    `;
+    container.dataset.rangeStart = range.start;
+    container.dataset.rangeEnd = range.end;
+  }
+
+  /**
+   * Minutes since midnight under the pointer, snapped to SCHEDULE_SNAP_MINUTES
+   */
+  function getPointerMinutes(e, column) {
+    const container = document.getElementById('schedule-grid');
+    const rangeStart = Number(container.dataset.rangeStart);
+    const rangeEnd = Number(container.dataset.rangeEnd);
+    const offset = (e.clientY - column.getBoundingClientRect().top) * 60 / CONFIG.SCHEDULE_HOUR_HEIGHT;
+    const snapped = Math.round((rangeStart + offset) / CONFIG.SCHEDULE_SNAP_MINUTES) * CONFIG.SCHEDULE_SNAP_MINUTES;
+    return Math.min(Math.max(snapped, rangeStart), rangeEnd);
+  }
+
+  function updateScheduleSelection() {
+    const drag = STATE.scheduleDrag;
+    const rangeStart = Number(document.getElementById('schedule-grid').dataset.rangeStart);
+    const start = Math.min(drag.anchor, drag.current);
+    const end = Math.max(drag.anchor, drag.current);
+    const pxPerMinute = CONFIG.SCHEDULE_HOUR_HEIGHT / 60;
+
+    drag.selection.style.top = `${(start - rangeStart) * pxPerMinute}px`;
+    drag.selection.style.height = `${(end - start) * pxPerMinute}px`;
+    drag.selection.textContent = end > start ? `${formatTimeLabel(minutesToTime(start))}–${formatTimeLabel(minutesToTime(end))}` : '';
+  }
+
+  /**
+   * Dragging down an empty part of a day starts a new block
+   */
+  function handleSchedulePointerDown(e) {
+    const column = e.target.closest('.schedule-day');
+    if (!column || e.button > 0 || e.target.closest('.schedule-booking, .schedule-block')) return;
+
+    e.preventDefault();
+    const minutes = getPointerMinutes(e, column);
+    const selection = document.createElement('div');
+    selection.className = 'schedule-selection';
+    column.appendChild(selection);
+
+    STATE.scheduleDrag = { column, date: column.dataset.date, anchor: minutes, current: minutes, selection };
+    updateScheduleSelection();
+    document.addEventListener('pointermove', handleSchedulePointerMove);
+    document.addEventListener('pointerup', handleSchedulePointerUp);
+  }
+
+  function handleSchedulePointerMove(e) {
+    const drag = STATE.scheduleDrag;
+    if (!drag) return;
+    drag.current = getPointerMinutes(e, drag.column);
+    updateScheduleSelection();
+  }
+
+  function handleSchedulePointerUp() {
+    document.removeEventListener('pointermove', handleSchedulePointerMove);
+    document.removeEventListener('pointerup', handleSchedulePointerUp);
+
+    const drag = STATE.scheduleDrag;
+    STATE.scheduleDrag = null;
+    if (!drag) return;
+
+    drag.selection.remove();
+    const start = Math.min(drag.anchor, drag.current);
+    const end = Math.max(drag.anchor, drag.current);
+    if (end <= start) return;
+
+    openBlockDrawer(null, {
+      date: drag.date,
+      startTime: minutesToTime(start),
+      endTime: end >= 24 * 60 ? '23:59' : minutesToTime(end)
+    });
+  }
+
+  // ============================================
+  // Inbox Panel
+  // ============================================
+
+  const MESSAGE_STATUS_BADGES = {
+    unread: '<span class="status-badge pending">Unread</span>',
+    read: '<span class="status-badge confirmed">Read</span>',
+    archived: '<span class="status-badge cancelled">Archived</span>'
+  };
+
+  function updateInboxBadge() {
+    const badge = document.getElementById('inbox-unread-count');
+    if (!badge) return;
+
+    const unread = STATE.messages.filter(m => m.status === 'unread').length;
+    badge.textContent = unread;
+    badge.hidden = unread === 0;
+  }
+
+  function getEnquiryBookingLink(message) {
+    return new URL(`index.html?enquiry=${encodeURIComponent(message.bookingInvite.token)}`, window.location.href).href;
+  }
+
+  function getReplyMailto(message) {
+    const businessName = STATE.settings?.businessName || 'Sallybraids';
+    const quoted = message.message.split('\n').map(line => `> ${line}`).join('\n');
+    const params = new URLSearchParams({
+      subject: `Re: Your message to ${businessName}`,
+      body: `Hi ${message.name},\n\n\n\n${quoted}`
+    });
+    // URLSearchParams encodes spaces as "+", which mail apps show literally
+    return `mailto:${encodeURIComponent(message.email)}?${params.toString().replace(/\+/g, '%20')}`;
+  }
+
+  function renderInbox() {
+    const container = document.getElementById('inbox-list');
+    if (!container) return;
+
+    updateInboxBadge();
+
+    const filter = document.getElementById('inbox-filter')?.value || 'inbox';
+    const messages = STATE.messages.filter(m => {
+      if (filter === 'inbox') return m.status !== 'archived';
+      if (filter === 'all') return true;
+      return m.status === filter;
+    });
+
+    if (messages.length === 0) {
+      container.innerHTML = '<p style="text-align: center; color: #737373; padding: var(--space-8);">No messages.</p>';
+      return;
+    }
+
+    container.innerHTML = messages.map(renderInboxMessage).join('');
+  }
+
+  function renderInboxMessage(message) {
+    const received = new Date(message.createdAt).toLocaleString('en-CA', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    const replies = message.replies || [];
+
+    return `
+      <article class="inbox-message ${message.status === 'unread' ? 'unread' : ''}">
+        <div class="inbox-message-header">
+          <div>
+            <strong>${escapeHtml(message.name)}</strong><br>
+            <small style="color: #737373;">${escapeHtml(message.email)}${message.phone ? ` · ${escapeHtml(message.phone)}` : ''}</small>
+          </div>
+          <div style="text-align: right;">
+            <small style="color: #737373;">${received}</small><br>
+            ${MESSAGE_STATUS_BADGES[message.status] || ''}
+            ${message.bookingId ? `<a href="#" onclick="openBookingDrawer('${message.bookingId}'); return false;">Booked</a>` : ''}
+          </div>
+        </div>
+        <p class="inbox-message-body">${escapeHtml(message.message)}</p>
+        ${replies.map(reply => `
+          <details class="inbox-reply">
+            <summary>Replied by ${reply.channel === 'sms' ? 'SMS' : 'email'} on ${new Date(reply.sentAt).toLocaleString('en-CA', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</summary>
+            <p class="inbox-message-body">${escapeHtml(reply.body)}</p>
+          </details>
+        `).join('')}
+        ${STATE.replyingTo === message.id ? renderReplyForm(message) : ''}
+        <div class="btn-group">
+          <button type="button" class="btn btn-primary btn-sm" onclick="startMessageReply('${message.id}')">Reply</button>
+          <a class="btn btn-secondary btn-sm" href="${escapeHtml(getReplyMailto(message))}" onclick="markMessageRead('${message.id}')">Open in Email App</a>
+          ${message.bookingId ? '' : `<button type="button" class="btn btn-secondary btn-sm" onclick="bookFromMessage('${message.id}')">Book</button>`}
+          ${message.status === 'unread'
+            ? `<button type="button" class="btn btn-secondary btn-sm" onclick="setMessageStatus('${message.id}', 'read')">Mark Read</button>`
+            : message.status === 'read'
+              ? `<button type="button" class="btn btn-secondary btn-sm" onclick="setMessageStatus('${message.id}', 'unread')">Mark Unread</button>`
+              : ''}
+          ${message.status === 'archived'
+            ? `<button type="button" class="btn btn-secondary btn-sm" onclick="setMessageStatus('${message.id}', 'read')">Move to Inbox</button>`
+            : `<button type="button" class="btn btn-secondary btn-sm" onclick="setMessageStatus('${message.id}', 'archived')">Archive</button>`}
+        </div>
+      </article>
+    `;
+  }
+
+  function renderReplyForm(message) {
+    const businessName = STATE.settings?.businessName || 'Sallybraids';
+    return `
+      <form class="inbox-reply-form" onsubmit="sendMessageReply(event, '${message.id}')">
+        <div class="form-group">
+          <label class="form-label" for="reply-channel">Send by</label>
+          <select id="reply-channel" name="channel" class="form-control">
+            <option value="email">Email to ${escapeHtml(message.email)}</option>
+            ${message.phone ? `<option value="sms">SMS to ${escapeHtml(message.phone)}</option>` : ''}
+          </select>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="reply-subject">Subject</label>
+          <input type="text" id="reply-subject" name="subject" class="form-control" value="${escapeHtml(`Re: Your message to ${businessName}`)}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="reply-body">Message</label>
+          <textarea id="reply-body" name="body" class="form-control" rows="5" required>${escapeHtml(`Hi ${message.name},\n\n`)}</textarea>
+        </div>
+        <div class="btn-group">
+          <button type="submit" class="btn btn-primary btn-sm">Send</button>
+          <button type="button" class="btn btn-secondary btn-sm" onclick="insertBookingLink('${message.id}')">Insert Booking Link</button>
+          <button type="button" class="btn btn-secondary btn-sm" onclick="cancelMessageReply()">Cancel</button>
+        </div>
+      </form>
+    `;
+  }
+
+  function replaceMessage(updated) {
+    STATE.messages = STATE.messages.map(m => m.id === updated.id ? updated : m);
+  }
+
+  async function setMessageStatus(messageId, status) {
+    try {
+      replaceMessage(await apiRequest(`/api/messages/${messageId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ status })
+      }));
+      renderInbox();
+    } catch (error) {
+      console.error('Failed to update message:', error);
+      showToast('Failed to update message', 'error');
+    }
+  }
+
+  function markMessageRead(messageId) {
+    const message = STATE.messages.find(m => m.id === messageId);
+    if (message && message.status === 'unread') {
+      setMessageStatus(messageId, 'read');
+    }
+  }
+
+  function startMessageReply(messageId) {
+    STATE.replyingTo = messageId;
+    renderInbox();
+    markMessageRead(messageId);
+    document.getElementById('reply-body')?.focus();
+  }
+
+  function cancelMessageReply() {
+    STATE.replyingTo = null;
+    renderInbox();
+  }
+
+  async function sendMessageReply(e, messageId) {
+    e.preventDefault();
+
+    const form = e.target;
+    const formData = new FormData(form);
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      replaceMessage(await apiRequest(`/api/messages/${messageId}/reply`, {
+        method: 'POST',
+        body: JSON.stringify({
+          channel: formData.get('channel'),
+          subject: formData.get('subject'),
+          body: formData.get('body')
         })
+      }));
+      STATE.replyingTo = null;
+      renderInbox();
+      showToast('Reply sent', 'success');
+    } catch (error) {
+      console.error('Failed to send reply:', error);
+      showToast('Failed to send reply', 'error');
+      submitBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Booking link for a message, created the first time it's needed
+   */
+  async function getMessageBookingLink(messageId) {
+    const message = await apiRequest(`/api/messages/${messageId}/booking-invite`, { method: 'POST' });
+    replaceMessage(message);
+    return getEnquiryBookingLink(message);
+  }
+
+  async function insertBookingLink(messageId) {
+    try {
+      const link = await getMessageBookingLink(messageId);
+      const textarea = document.getElementById('reply-body');
+      textarea.value = `${textarea.value.trimEnd()}\n\nBook here: ${link}\n`;
+      textarea.focus();
+    } catch (error) {
+      console.error('Failed to create booking link:', error);
+      showToast('Failed to create booking link', 'error');
+    }
+  }
+
+  /**
+   * Open the booking form with the sender's details filled in. The booking
+   * is recorded against the message once it's made.
+   */
+  async function bookFromMessage(messageId) {
+    try {
+      window.open(await getMessageBookingLink(messageId), '_blank', 'noopener');
+      markMessageRead(messageId);
+    } catch (error) {
+      console.error('Failed to create booking link:', error);
+      showToast('Failed to create booking link', 'error');
+    }
+  }
+
+  window.setMessageStatus = setMessageStatus;
+  window.markMessageRead = markMessageRead;
+  window.startMessageReply = startMessageReply;
+  window.cancelMessageReply = cancelMessageReply;
+  window.sendMessageReply = sendMessageReply;
+  window.insertBookingLink = insertBookingLink;
+  window.bookFromMessage = bookFromMessage;
+
+  // ============================================
+  // Waitlist Panel
+  // ============================================
+
+  function getWaitlistOfferLink(entry) {
+    return new URL(`index.html?waitlist=${encodeURIComponent(entry.offer.token)}`, window.location.href).href;
+  }
+
+  function renderWaitlistStatus(entry) {
+    switch (entry.status) {
+      case 'offered': {
+        const expires = new Date(entry.offer.expiresAt).toLocaleTimeString('en-CA', { hour: 'numeric', minute: '2-digit' });
+        return `<span class="status-badge confirmed">Offered until ${expires}</span>`;
+      }
+      case 'booked':
+        return '<span class="status-badge completed">Booked</span>';
+      case 'expired':
+        return '<span class="status-badge cancelled">Expired</span>';
+      default:
+        return '<span class="status-badge pending">Waiting</span>';
+    }
+  }
+
+  function renderWaitlist() {
+    const tbody = document.getElementById('waitlist-tbody');
+    if (!tbody) return;
+
+    const entries = [...STATE.waitlist].sort((a, b) =>
+      a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt)
+    );
+
+    if (entries.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #737373; padding: var(--space-8);">Nobody is on the waitlist.</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = entries.map(entry => `
+      <tr>
+        <td>${formatDate(entry.date)}</td>
+        <td>
+          <strong>${escapeHtml(entry.customer.name)}</strong><br>
+          <small style="color: #737373;">${escapeHtml(entry.customer.phone)} · ${escapeHtml(entry.customer.email)}</small>
+        </td>
+        <td>
+          ${escapeHtml(entry.serviceTitle)}
+          ${entry.variantLabel ? `<br><small style="color: #737373;">${escapeHtml(entry.variantLabel)}</small>` : ''}
+        </td>
+        <td>${escapeHtml(entry.stylistId ? getStylistName(entry.stylistId) : 'Any')}</td>
+        <td>
+          ${renderWaitlistStatus(entry)}
+          ${entry.status === 'offered' ? `<br><a href="${escapeHtml(getWaitlistOfferLink(entry))}" target="_blank" rel="noopener">Offer link</a>` : ''}
+        </td>
+        <td>
+          <div class="btn-group">
+            ${entry.status === 'waiting' || entry.status === 'expired' ? `<button type="button" class="btn btn-primary btn-sm" onclick="promoteWaitlistEntry('${entry.id}')">Offer</button>` : ''}
+            <button type="button" class="btn btn-danger btn-sm" onclick="removeWaitlistEntry('${entry.id}')">Remove</button>
+          </div>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * Offer a freed slot to the next customers waitlisted for that day
+   */
+  async function offerFreedSlot(date, stylistId = null) {
+    try {
+      const result = await apiRequest('/api/waitlist/offers', {
+        method: 'POST',
+        body: JSON.stringify({ date, stylistId: stylistId || null })
       });
+      STATE.waitlist = await apiRequest('/api/waitlist');
 
-      // Reload blocks
-      STATE.blocks = await apiRequest('/api/availability/blocks');
-      renderCalendar();
-      showToast('Block added successfully', 'success');
+      const count = result.offered.length;
+      if (count > 0) {
+        showToast(`Offered the freed slot to ${count} waitlisted customer${count === 1 ? '' : 's'}`, 'info');
+      }
+    } catch (error) {
+      console.error('Failed to send waitlist offers:', error);
+      showToast('Failed to notify the waitlist', 'warning');
+    }
+  }
 
+  async function promoteWaitlistEntry(entryId) {
+    try {
+      await apiRequest(`/api/waitlist/${entryId}/offer`, { method: 'POST' });
+      STATE.waitlist = await apiRequest('/api/waitlist');
+      renderWaitlist();
+      showToast('Offer sent', 'success');
     } catch (error) {
-      console.error('Failed to add block:', error);
-      showToast('Failed to add block', 'error');
+      console.error('Failed to promote waitlist entry:', error);
+      showToast(error.message || 'Failed to send offer', 'error');
     }
   }
 
-  async function deleteBlock(blockId) {
-    if (!confirm('Remove this block?')) return;
+  async function removeWaitlistEntry(entryId) {
+    if (!confirm('Remove this customer from the waitlist?')) return;
 
     try {
-      // For mock mode, remove from storage
-      const blocks = loadFromStorage(CONFIG.STORAGE_KEYS.BLOCKS) || [];
-      const filtered = blocks.filter(b => b.id !== blockId);
-      saveToStorage(CONFIG.STORAGE_KEYS.BLOCKS, filtered);
+      await apiRequest(`/api/waitlist/${entryId}`, { method: 'DELETE' });
+      STATE.waitlist = STATE.waitlist.filter(e => e.id !== entryId);
+      renderWaitlist();
+      showToast('Removed from waitlist', 'success');
+    } catch (error) {
+      console.error('Failed to remove waitlist entry:', error);
+      showToast('Failed to remove from waitlist', 'error');
+    }
+  }
 
-      STATE.blocks = filtered;
-      renderCalendar();
-      showToast('Block removed', 'success');
+  window.promoteWaitlistEntry = promoteWaitlistEntry;
+  window.removeWaitlistEntry = removeWaitlistEntry;
+
+  // ============================================
+  // Prep List Panel
+  // ============================================
 
+  /**
+   * Upcoming open bookings grouped by day, with the hair and beads to pull from
+   * stock for each day
+   */
+  async function renderPrepList() {
+    const container = document.getElementById('prep-list-container');
+    if (!container) return;
+
+    const days = parseInt(document.getElementById('prep-days')?.value) || 7;
+    const today = new Date();
+    const from = formatLocalDate(today);
+    const to = formatLocalDate(new Date(today.getFullYear(), today.getMonth(), today.getDate() + days - 1));
+
+    const request = ++STATE.prepRequest;
+    let rangeBookings;
+    try {
+      rangeBookings = await fetchBookings({ dateFrom: from, dateTo: to });
     } catch (error) {
-      console.error('Failed to delete block:', error);
-      showToast('Failed to remove block', 'error');
+      console.error('Failed to load prep list:', error);
+      showToast('Failed to load prep list', 'error');
+      return;
+    }
+    if (request !== STATE.prepRequest) return;
+
+    const bookings = rangeBookings
+      .filter(b => (b.status === 'deposit_pending' || b.status === 'deposit_paid') && b.date >= from && b.date <= to)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+
+    if (bookings.length === 0) {
+      container.innerHTML = '<div class="admin-card"><p style="color: #737373; text-align: center; padding: var(--space-6);">No upcoming appointments in this period.</p></div>';
+      return;
+    }
+
+    const dates = [...new Set(bookings.map(b => b.date))];
+    container.innerHTML = dates.map(date => {
+      const dayBookings = bookings.filter(b => b.date === date);
+
+      // Packs to pull from stock, by material and colour
+      const stock = {};
+      dayBookings.forEach(booking => {
+        (booking.materials || []).filter(choice => choice.source === 'buy').forEach(choice => {
+          const key = `${choice.name}|${choice.colour}`;
+          stock[key] = stock[key] || { name: choice.name, colour: choice.colour, packs: 0 };
+          stock[key].packs += choice.packs;
+        });
+      });
+      const stockRows = Object.values(stock).sort((a, b) => a.name.localeCompare(b.name) || a.colour.localeCompare(b.colour));
+
+      return `
+        <div class="admin-card">
+          <h3 class="admin-card-title" style="margin-bottom: var(--space-4);">
+            ${new Date(`${date}T00:00:00`).toLocaleDateString('en-CA', { weekday: 'long', month: 'short', day: 'numeric' })}
+          </h3>
+
+          <h4 style="margin-bottom: var(--space-2);">From Stock</h4>
+          ${stockRows.length > 0 ? `
+            <div class="admin-table-wrapper" style="margin-bottom: var(--space-6);">
+              <table class="admin-table">
+                <thead>
+                  <tr>
+                    <th>Material</th>
+                    <th>Colour</th>
+                    <th>Packs</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${stockRows.map(row => `
+                    <tr>
+                      <td>${escapeHtml(row.name)}</td>
+                      <td>${escapeHtml(row.colour || 'Any')}</td>
+                      <td>${row.packs}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+          ` : '<p style="color: #737373; margin-bottom: var(--space-6);">Nothing to pull from stock.</p>'}
+
+          <h4 style="margin-bottom: var(--space-2);">Appointments</h4>
+          <div class="admin-table-wrapper">
+            <table class="admin-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Customer</th>
+                  <th>Service</th>
+                  <th>Materials</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${dayBookings.map(booking => {
+                  const lines = getBookingMaterialLines(booking);
+                  return `
+                    <tr onclick="openBookingDrawer('${booking.id}')">
+                      <td>${new Date(`${booking.date}T${booking.time}`).toLocaleTimeString('en-CA', { hour: 'numeric', minute: '2-digit', hour12: true })}</td>
+                      <td>${escapeHtml(booking.customer.name)}</td>
+                      <td>
+                        ${escapeHtml(booking.serviceTitle)}
+                        ${booking.variantLabel ? `<br><small style="color: #737373;">${escapeHtml(booking.variantLabel)}</small>` : ''}
+                      </td>
+                      <td>${lines.length > 0 ? lines.map(line => escapeHtml(line)).join('<br>') : '<span style="color: #737373;">None needed</span>'}</td>
+                    </tr>
+                  `;
+                }).join('')}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // ============================================
+  // Notifications Panel
+  // ============================================
+
+  const OUTBOX_STATUS_BADGES = {
+    queued: '<span class="status-badge pending">Queued</span>',
+    sent: '<span class="status-badge completed">Sent</span>',
+    failed: '<span class="status-badge cancelled">Failed</span>'
+  };
+
+  async function renderNotifications() {
+    try {
+      STATE.notificationTemplates = await apiRequest('/api/notifications/templates');
+      STATE.outbox = await apiRequest('/api/notifications/outbox');
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+      showToast('Failed to load notifications', 'error');
+      return;
+    }
+
+    if (!STATE.notificationTemplates.some(t => t.event === STATE.editingTemplate)) {
+      STATE.editingTemplate = STATE.notificationTemplates[0]?.event || null;
+    }
+
+    const select = document.getElementById('notification-template-select');
+    select.innerHTML = STATE.notificationTemplates.map(template => `
+      <option value="${template.event}" ${template.event === STATE.editingTemplate ? 'selected' : ''}>
+        ${escapeHtml(template.label)}${template.customized ? ' (edited)' : ''}${template.enabled ? '' : ' (off)'}
+      </option>
+    `).join('');
+
+    fillTemplateForm();
+    renderOutbox();
+  }
+
+  function fillTemplateForm() {
+    const template = STATE.notificationTemplates.find(t => t.event === STATE.editingTemplate);
+    if (!template) return;
+
+    document.getElementById('notification-enabled').checked = template.enabled;
+    document.getElementById('notification-subject').value = template.subject;
+    document.getElementById('notification-email-body').value = template.emailBody;
+    document.getElementById('notification-sms-body').value = template.smsBody;
+    document.getElementById('notification-reset-btn').disabled = !template.customized;
+
+    const placeholders = window.SallyNotifications ? window.SallyNotifications.PLACEHOLDERS : [];
+    document.getElementById('notification-placeholders').textContent =
+      `Sent to the ${template.audience === 'owner' ? 'salon' : 'customer'}. Placeholders: ${placeholders.map(name => `{{${name}}}`).join(' ')}`;
+  }
+
+  function renderOutbox() {
+    const tbody = document.getElementById('outbox-tbody');
+    if (!tbody) return;
+
+    if (STATE.outbox.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #737373; padding: var(--space-8);">No messages yet.</td></tr>';
+      return;
+    }
+
+    const labels = STATE.notificationTemplates.reduce((map, t) => ({ ...map, [t.event]: t.label }), { message_reply: 'Inbox reply' });
+
+    tbody.innerHTML = STATE.outbox.map(message => `
+      <tr>
+        <td>${new Date(message.createdAt).toLocaleString('en-CA', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</td>
+        <td>
+          ${escapeHtml(labels[message.event] || message.event)}
+          ${message.bookingId ? `<br><a href="#" onclick="openBookingDrawer('${message.bookingId}'); return false;">View booking</a>` : ''}
+        </td>
+        <td>${message.channel === 'sms' ? 'SMS' : 'Email'}</td>
+        <td>${escapeHtml(message.to)}</td>
+        <td>
+          <details>
+            <summary>${escapeHtml(message.subject || message.body.slice(0, 60))}</summary>
+            <p style="white-space: pre-wrap; margin-top: var(--space-2);">${escapeHtml(message.body)}</p>
+          </details>
+        </td>
+        <td>
+          ${OUTBOX_STATUS_BADGES[message.status] || escapeHtml(message.status)}
+          ${message.error ? `<br><small style="color: #737373;">${escapeHtml(message.error)}</small>` : ''}
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  async function saveNotificationTemplate(e) {
+    e.preventDefault();
+
+    const formData = new FormData(e.target);
+    const template = {
+      enabled: formData.get('enabled') === 'on',
+      subject: formData.get('subject').trim(),
+      emailBody: formData.get('emailBody').trim(),
+      smsBody: formData.get('smsBody').trim()
+    };
+
+    if (!template.emailBody && !template.smsBody) {
+      showToast('Add an email body or an SMS message', 'error');
+      return;
+    }
+
+    try {
+      await apiRequest(`/api/notifications/templates/${STATE.editingTemplate}`, {
+        method: 'PUT',
+        body: JSON.stringify(template)
+      });
+      showToast('Template saved', 'success');
+      renderNotifications();
+    } catch (error) {
+      console.error('Failed to save template:', error);
+      showToast('Failed to save template', 'error');
+    }
+  }
+
+  async function resetNotificationTemplate() {
+    if (!confirm('Replace this template with the default wording?')) return;
+
+    try {
+      await apiRequest(`/api/notifications/templates/${STATE.editingTemplate}`, { method: 'DELETE' });
+      showToast('Template reset', 'success');
+      renderNotifications();
+    } catch (error) {
+      console.error('Failed to reset template:', error);
+      showToast('Failed to reset template', 'error');
+    }
+  }
+
+  async function clearOutbox() {
+    if (!confirm('Clear all messages from the outbox?')) return;
+
+    try {
+      await apiRequest('/api/notifications/outbox', { method: 'DELETE' });
+      STATE.outbox = [];
+      renderOutbox();
+      showToast('Outbox cleared', 'success');
+    } catch (error) {
+      console.error('Failed to clear outbox:', error);
+      showToast('Failed to clear outbox', 'error');
     }
   }
 
@@ -846,7 +3921,9 @@
         <td><strong>${escapeHtml(service.title)}</strong></td>
         <td>${escapeHtml(service.category)}</td>
         <td>${escapeHtml(service.duration)}</td>
-        <td>${formatCurrency(service.price)}</td>
+        <td>${service.variants && service.variants.length > 0
+          ? `from ${formatCurrency(Math.min(...service.variants.map(v => v.price ?? service.price)))}`
+          : formatCurrency(service.price)}</td>
         <td>
           <div class="btn-group">
             <button type="button" class="btn btn-secondary btn-sm" onclick="editService('${service.id}')">Edit</button>
@@ -889,15 +3966,208 @@
       document.getElementById('service-form-duration').value = service.duration;
       document.getElementById('service-form-price').value = service.price;
       document.getElementById('service-form-image').value = service.img || '';
+      document.getElementById('service-form-earliest').value = service.earliestStartTime || '';
+      document.getElementById('service-form-latest').value = service.latestStartTime || '';
       document.getElementById('service-form-notes').value = Array.isArray(service.notes) ? service.notes.join('\n') : '';
+      renderVariantRows(service.variants || []);
+      renderAddOnRows(service.addOns || []);
+      renderMaterialRows(service.materials || []);
     } else {
       STATE.editingService = null;
       title.textContent = 'Add Service';
       document.getElementById('service-form-id').value = '';
+      renderVariantRows([]);
+      renderAddOnRows([]);
+      renderMaterialRows([]);
+    }
+
+    drawer.classList.add('open');
+    overlay.classList.add('open');
+  }
+
+  function renderVariantRows(variants) {
+    const container = document.getElementById('service-form-variants');
+    if (!container) return;
+
+    container.innerHTML = variants.map(renderVariantRow).join('');
+  }
+
+  function renderVariantRow(variant = {}) {
+    return `
+      <div class="variant-row" data-variant-id="${escapeHtml(variant.id || '')}">
+        <div class="form-row">
+          <input type="text" class="form-control" data-field="label" value="${escapeHtml(variant.label || '')}" placeholder="e.g., Bra-strap length" aria-label="Variant label">
+          <input type="number" class="form-control" data-field="price" value="${variant.price ?? ''}" min="0" step="1" placeholder="Price" aria-label="Variant price (CAD)">
+        </div>
+        <div class="form-row">
+          <input type="text" class="form-control" data-field="duration" value="${escapeHtml(variant.duration || '')}" placeholder="Duration, e.g., 9h" aria-label="Variant duration">
+          <input type="text" class="form-control" data-field="img" value="${escapeHtml(variant.img || '')}" placeholder="Image path" aria-label="Variant image path">
+        </div>
+        <div class="form-row">
+          <input type="time" class="form-control" data-field="earliestStartTime" value="${variant.earliestStartTime || ''}" aria-label="Variant earliest start time">
+          <input type="time" class="form-control" data-field="latestStartTime" value="${variant.latestStartTime || ''}" aria-label="Variant latest start time">
+        </div>
+        <button type="button" class="btn btn-secondary btn-sm" onclick="this.closest('.variant-row').remove()">Remove Variant</button>
+      </div>
+    `;
+  }
+
+  function addVariantRow() {
+    const container = document.getElementById('service-form-variants');
+    if (container) {
+      container.insertAdjacentHTML('beforeend', renderVariantRow());
+    }
+  }
+
+  /**
+   * Read variant rows from the service drawer. Blank fields are left off so
+   * they inherit from the service. Returns null if a row is invalid.
+   */
+  function readVariantRows() {
+    const rows = [...document.querySelectorAll('#service-form-variants .variant-row')];
+    const variants = [];
+
+    for (const [index, row] of rows.entries()) {
+      const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+      const variant = { id: row.dataset.variantId || `variant-${Date.now()}-${index}`, label: value('label') };
+
+      const price = value('price');
+      ['duration', 'img', 'earliestStartTime', 'latestStartTime'].forEach(field => {
+        if (value(field)) variant[field] = value(field);
+      });
+      if (price !== '') variant.price = parseFloat(price);
+
+      // Skip rows left completely empty
+      if (Object.keys(variant).length === 2 && !variant.label) continue;
+
+      if (!variant.label || variant.price < 0 ||
+          (variant.earliestStartTime && variant.latestStartTime && variant.earliestStartTime > variant.latestStartTime)) {
+        return null;
+      }
+
+      variants.push(variant);
+    }
+
+    return variants;
+  }
+
+  function renderAddOnRows(addOns) {
+    const container = document.getElementById('service-form-addons');
+    if (!container) return;
+
+    container.innerHTML = addOns.map(renderAddOnRow).join('');
+  }
+
+  function renderAddOnRow(addOn = {}) {
+    return `
+      <div class="addon-row" data-addon-id="${escapeHtml(addOn.id || '')}">
+        <input type="text" class="form-control" data-field="name" value="${escapeHtml(addOn.name || '')}" placeholder="e.g., Detox wash" aria-label="Add-on name">
+        <input type="number" class="form-control" data-field="price" value="${addOn.price ?? ''}" min="0" step="1" placeholder="Price" aria-label="Add-on price (CAD)">
+        <input type="number" class="form-control" data-field="minutes" value="${addOn.minutes ?? ''}" min="0" step="5" placeholder="Minutes" aria-label="Add-on extra minutes">
+        <button type="button" class="btn btn-secondary btn-sm" onclick="this.closest('.addon-row').remove()" aria-label="Remove add-on">✕</button>
+      </div>
+    `;
+  }
+
+  function addAddOnRow() {
+    const container = document.getElementById('service-form-addons');
+    if (container) {
+      container.insertAdjacentHTML('beforeend', renderAddOnRow());
+    }
+  }
+
+  /**
+   * Read add-on rows from the service drawer. Returns null if a row is invalid.
+   */
+  function readAddOnRows() {
+    const rows = [...document.querySelectorAll('#service-form-addons .addon-row')];
+    const addOns = [];
+
+    for (const [index, row] of rows.entries()) {
+      const name = row.querySelector('[data-field="name"]').value.trim();
+      const price = parseFloat(row.querySelector('[data-field="price"]').value || '0');
+      const minutes = parseInt(row.querySelector('[data-field="minutes"]').value || '0');
+
+      // Skip rows left completely empty
+      if (!name && !price && !minutes) continue;
+
+      if (!name || price < 0 || minutes < 0 || isNaN(price) || isNaN(minutes)) {
+        return null;
+      }
+
+      addOns.push({
+        id: row.dataset.addonId || `addon-${Date.now()}-${index}`,
+        name,
+        price,
+        minutes
+      });
+    }
+
+    return addOns;
+  }
+
+  function renderMaterialRows(materials) {
+    const container = document.getElementById('service-form-materials');
+    if (!container) return;
+
+    container.innerHTML = materials.map(renderMaterialRow).join('');
+  }
+
+  function renderMaterialRow(material = {}) {
+    return `
+      <div class="material-row" data-material-id="${escapeHtml(material.id || '')}">
+        <div class="form-row">
+          <input type="text" class="form-control" data-field="name" value="${escapeHtml(material.name || '')}" placeholder="e.g., Braiding hair" aria-label="Material name">
+          <input type="number" class="form-control" data-field="packs" value="${material.packs ?? ''}" min="1" step="1" placeholder="Usual packs" aria-label="Usual number of packs">
+        </div>
+        <div class="form-row">
+          <input type="number" class="form-control" data-field="packPrice" value="${material.packPrice ?? ''}" min="0" step="0.5" placeholder="Price per pack" aria-label="Price per pack (CAD)">
+          <input type="text" class="form-control" data-field="colours" value="${escapeHtml((material.colours || []).join(', '))}" placeholder="Colours, e.g., 1B, 27, 613" aria-label="Colours, comma separated">
+        </div>
+        <button type="button" class="btn btn-secondary btn-sm" onclick="this.closest('.material-row').remove()">Remove Material</button>
+      </div>
+    `;
+  }
+
+  function addMaterialRow() {
+    const container = document.getElementById('service-form-materials');
+    if (container) {
+      container.insertAdjacentHTML('beforeend', renderMaterialRow());
+    }
+  }
+
+  /**
+   * Read material rows from the service drawer. Returns null if a row is invalid.
+   */
+  function readMaterialRows() {
+    const rows = [...document.querySelectorAll('#service-form-materials .material-row')];
+    const materials = [];
+
+    for (const [index, row] of rows.entries()) {
+      const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+      const name = value('name');
+      const packs = parseInt(value('packs') || '1');
+      const packPrice = value('packPrice') === '' ? null : parseFloat(value('packPrice'));
+      const colours = value('colours').split(',').map(colour => colour.trim()).filter(Boolean);
+
+      // Skip rows left completely empty
+      if (!name && !value('packs') && packPrice === null && colours.length === 0) continue;
+
+      if (!name || isNaN(packs) || packs < 1 || (packPrice !== null && (isNaN(packPrice) || packPrice < 0))) {
+        return null;
+      }
+
+      const material = {
+        id: row.dataset.materialId || `material-${Date.now()}-${index}`,
+        name,
+        packs,
+        colours
+      };
+      if (packPrice) material.packPrice = packPrice;
+      materials.push(material);
     }
 
-    drawer.classList.add('open');
-    overlay.classList.add('open');
+    return materials;
   }
 
   function closeServiceDrawer() {
@@ -912,15 +4182,43 @@
     const form = document.getElementById('service-form');
     const formData = new FormData(form);
 
-    const serviceData = {
+    // Keep fields this form doesn't edit
+    const serviceData = window.SallyRules.migrateService({
+      ...(STATE.editingService || {}),
       id: formData.get('id') || `service-${Date.now()}`,
       title: formData.get('title'),
       category: formData.get('category'),
       duration: formData.get('duration'),
       price: parseFloat(formData.get('price')),
       img: formData.get('img') || '',
+      earliestStartTime: formData.get('earliestStartTime') || null,
+      latestStartTime: formData.get('latestStartTime') || null,
       notes: formData.get('notes').split('\n').filter(n => n.trim())
-    };
+    });
+
+    const variants = readVariantRows();
+    if (!variants) {
+      showToast('Each variant needs a label, a non-negative price and a valid start-time window', 'error');
+      return;
+    }
+    serviceData.variants = variants;
+
+    const addOns = readAddOnRows();
+    if (!addOns) {
+      showToast('Each add-on needs a name and a non-negative price and time', 'error');
+      return;
+    }
+    serviceData.addOns = addOns;
+
+    const materials = readMaterialRows();
+    if (!materials) {
+      showToast('Each material needs a name, at least one pack and a non-negative price', 'error');
+      return;
+    }
+    serviceData.materials = materials;
+
+    if (!serviceData.earliestStartTime) delete serviceData.earliestStartTime;
+    if (!serviceData.latestStartTime) delete serviceData.latestStartTime;
 
     // Validate
     if (!serviceData.title || !serviceData.category || !serviceData.duration || !serviceData.price) {
@@ -928,6 +4226,12 @@
       return;
     }
 
+    if (serviceData.earliestStartTime && serviceData.latestStartTime &&
+        serviceData.earliestStartTime > serviceData.latestStartTime) {
+      showToast('Earliest start time must be before latest start time', 'error');
+      return;
+    }
+
     try {
       if (STATE.editingService) {
         // Update existing
@@ -987,6 +4291,206 @@
   window.deleteService = deleteService;
   window.moveService = moveService;
 
+  // ============================================
+  // Stylists Panel
+  // ============================================
+
+  function getStylistName(stylistId) {
+    const stylist = STATE.stylists.find(s => s.id === stylistId);
+    return stylist ? stylist.name : 'Unknown stylist';
+  }
+
+  function describeStylistServices(stylist) {
+    if (!Array.isArray(stylist.serviceIds) || stylist.serviceIds.length === 0) {
+      return 'All services';
+    }
+    return stylist.serviceIds
+      .map(id => STATE.services.find(s => s.id === id))
+      .filter(Boolean)
+      .map(s => s.title)
+      .join(', ');
+  }
+
+  function renderStylists() {
+    const tbody = document.getElementById('stylists-tbody');
+    if (!tbody) return;
+
+    if (STATE.stylists.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: #737373; padding: var(--space-8);">No stylists yet. Bookings use a single chair until you add one.</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = STATE.stylists.map(stylist => `
+      <tr>
+        <td><strong>${escapeHtml(stylist.name)}</strong></td>
+        <td>${escapeHtml(describeStylistServices(stylist))}</td>
+        <td>${stylist.schedule ? 'Custom' : 'Business hours'}</td>
+        <td>${stylist.active === false ? '<span class="status-badge cancelled">Inactive</span>' : '<span class="status-badge confirmed">Active</span>'}</td>
+        <td>
+          <div class="btn-group">
+            <button type="button" class="btn btn-secondary btn-sm" onclick="editStylist('${stylist.id}')">Edit</button>
+            <button type="button" class="btn btn-danger btn-sm" onclick="deleteStylist('${stylist.id}')">Delete</button>
+          </div>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  function renderStylistServiceOptions(selectedIds) {
+    const container = document.getElementById('stylist-form-services');
+    if (!container) return;
+
+    container.innerHTML = STATE.services.map(service => `
+      <label class="checkbox-label">
+        <input type="checkbox" name="serviceIds" value="${service.id}" ${selectedIds.includes(service.id) ? 'checked' : ''}>
+        <span>${escapeHtml(service.title)}</span>
+      </label>
+    `).join('');
+  }
+
+  function toggleStylistSchedule() {
+    const customHours = document.getElementById('stylist-form-custom-hours');
+    const wrapper = document.getElementById('stylist-schedule-wrapper');
+    if (customHours && wrapper) {
+      wrapper.style.display = customHours.checked ? 'block' : 'none';
+    }
+  }
+
+  function openStylistDrawer(stylistId = null) {
+    const drawer = document.getElementById('stylist-drawer');
+    const overlay = document.getElementById('stylist-drawer-overlay');
+    const title = document.getElementById('stylist-drawer-title');
+    const form = document.getElementById('stylist-form');
+
+    form.reset();
+
+    const stylist = stylistId ? STATE.stylists.find(s => s.id === stylistId) : null;
+    if (stylistId && !stylist) return;
+
+    STATE.editingStylist = stylist;
+    title.textContent = stylist ? 'Edit Stylist' : 'Add Stylist';
+
+    document.getElementById('stylist-form-id').value = stylist ? stylist.id : '';
+    document.getElementById('stylist-form-name').value = stylist ? stylist.name : '';
+    document.getElementById('stylist-form-active').checked = !stylist || stylist.active !== false;
+    document.getElementById('stylist-form-custom-hours').checked = Boolean(stylist && stylist.schedule);
+
+    renderStylistServiceOptions(stylist && Array.isArray(stylist.serviceIds) ? stylist.serviceIds : []);
+    renderScheduleRows(
+      (stylist && stylist.schedule) || getSchedule(STATE.settings || getDefaultSettings()),
+      'stylist-schedule-tbody'
+    );
+    toggleStylistSchedule();
+
+    drawer.classList.add('open');
+    overlay.classList.add('open');
+  }
+
+  function closeStylistDrawer() {
+    const drawer = document.getElementById('stylist-drawer');
+    const overlay = document.getElementById('stylist-drawer-overlay');
+    drawer.classList.remove('open');
+    overlay.classList.remove('open');
+    STATE.editingStylist = null;
+  }
+
+  async function saveStylist() {
+    const form = document.getElementById('stylist-form');
+    const formData = new FormData(form);
+
+    const name = (formData.get('name') || '').trim();
+    if (!name) {
+      showToast('Please enter a name', 'error');
+      return;
+    }
+
+    let schedule = null;
+    if (formData.get('customHours')) {
+      schedule = readScheduleRows(formData);
+      const invalidDay = WEEKDAYS.find(day => !schedule[day].closed && schedule[day].open >= schedule[day].close);
+      if (invalidDay) {
+        showToast(`Closing time must be after opening time (${invalidDay})`, 'error');
+        return;
+      }
+    }
+
+    const stylistData = {
+      ...(STATE.editingStylist || {}),
+      id: formData.get('id') || `stylist-${Date.now()}`,
+      name,
+      active: Boolean(formData.get('active')),
+      serviceIds: formData.getAll('serviceIds'),
+      schedule
+    };
+
+    try {
+      if (STATE.editingStylist) {
+        await apiRequest(`/api/stylists/${stylistData.id}`, {
+          method: 'PUT',
+          body: JSON.stringify(stylistData)
+        });
+
+        const index = STATE.stylists.findIndex(s => s.id === stylistData.id);
+        if (index !== -1) {
+          STATE.stylists[index] = stylistData;
+        }
+
+        showToast('Stylist updated successfully', 'success');
+      } else {
+        await apiRequest('/api/stylists', {
+          method: 'POST',
+          body: JSON.stringify(stylistData)
+        });
+
+        STATE.stylists.push(stylistData);
+        showToast('Stylist added successfully', 'success');
+      }
+
+      saveToStorage(CONFIG.STORAGE_KEYS.STYLISTS, STATE.stylists);
+      closeStylistDrawer();
+      renderStylists();
+
+    } catch (error) {
+      console.error('Failed to save stylist:', error);
+      showToast('Failed to save stylist', 'error');
+    }
+  }
+
+  async function deleteStylist(stylistId) {
+    const today = formatLocalDate(new Date());
+    let upcoming;
+    try {
+      upcoming = (await fetchBookings({ stylistId, dateFrom: today }))
+        .filter(b => b.status !== 'cancelled').length;
+    } catch (error) {
+      console.error('Failed to check stylist bookings:', error);
+      showToast('Failed to delete stylist', 'error');
+      return;
+    }
+
+    const message = upcoming > 0
+      ? `This stylist has ${upcoming} upcoming booking(s). Delete anyway? Reassign them from the Bookings panel.`
+      : 'Delete this stylist? This cannot be undone.';
+    if (!confirm(message)) return;
+
+    try {
+      await apiRequest(`/api/stylists/${stylistId}`, { method: 'DELETE' });
+
+      STATE.stylists = STATE.stylists.filter(s => s.id !== stylistId);
+      saveToStorage(CONFIG.STORAGE_KEYS.STYLISTS, STATE.stylists);
+      renderStylists();
+      showToast('Stylist deleted', 'success');
+
+    } catch (error) {
+      console.error('Failed to delete stylist:', error);
+      showToast('Failed to delete stylist', 'error');
+    }
+  }
+
+  // Make functions available globally for onclick handlers
+  window.editStylist = openStylistDrawer;
+  window.deleteStylist = deleteStylist;
+
   // ============================================
   // Media Panel
   // ============================================
@@ -994,6 +4498,7 @@
   function renderMedia() {
     renderLogoUpload();
     renderServiceImages();
+    renderPortfolio();
   }
 
   function renderLogoUpload() {
@@ -1137,8 +4642,171 @@
     showToast('Image removed from services', 'success');
   }
 
+  function getPortfolio() {
+    return (loadFromStorage(CONFIG.STORAGE_KEYS.MEDIA) || {}).portfolio || [];
+  }
+
+  function savePortfolio(portfolio) {
+    saveToStorage(CONFIG.STORAGE_KEYS.MEDIA, { ...(loadFromStorage(CONFIG.STORAGE_KEYS.MEDIA) || {}), portfolio });
+  }
+
+  function renderPortfolio() {
+    const container = document.getElementById('portfolio-grid');
+    if (!container) return;
+
+    if (STATE.portfolio.length === 0) {
+      container.innerHTML = '<p style="color: #737373; text-align: center; padding: var(--space-6); grid-column: 1 / -1;">No portfolio photos yet.</p>';
+      return;
+    }
+
+    container.innerHTML = STATE.portfolio.map(photo => {
+      const tagged = photo.customerIds.map(id => STATE.customers.find(c => c.id === id) || { id, name: 'Unknown customer' });
+      const untagged = STATE.customers.filter(c => !photo.customerIds.includes(c.id));
+
+      return `
+        <div class="portfolio-item">
+          <img src="${escapeHtml(photo.url)}" alt="${escapeHtml(photo.caption || 'Portfolio photo')}" loading="lazy">
+          <div class="portfolio-item-body">
+            ${photo.caption ? `<p style="margin: 0 0 var(--space-2); font-weight: 600;">${escapeHtml(photo.caption)}</p>` : ''}
+            <div class="portfolio-tags">
+              ${tagged.map(customer => `
+                <span class="portfolio-tag ${customer.photoConsent === 'declined' ? 'opted-out' : ''}" ${customer.photoConsent === 'declined' ? 'title="Opted out of photos. Remove this photo or the tag."' : ''}>
+                  ${escapeHtml(customer.name)}${customer.photoConsent === 'declined' ? ' (opted out)' : ''}
+                  <button type="button" onclick="untagPortfolioPhoto('${photo.id}', '${customer.id}')" aria-label="Remove tag">&times;</button>
+                </span>
+              `).join('')}
+            </div>
+            <select class="form-control" aria-label="Tag a customer" onchange="tagPortfolioPhoto('${photo.id}', this.value)">
+              <option value="">Tag a customer...</option>
+              ${untagged.map(customer => `
+                <option value="${customer.id}" ${customer.photoConsent === 'declined' ? 'disabled' : ''}>${escapeHtml(customer.name)}${customer.photoConsent === 'declined' ? ' (opted out of photos)' : ''}</option>
+              `).join('')}
+            </select>
+            <button type="button" class="btn btn-danger btn-sm" style="margin-top: var(--space-2);" onclick="deletePortfolioPhoto('${photo.id}')">Remove Photo</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Portfolio images are http(s) URLs or paths on this site, e.g. /images/braids.jpg
+   */
+  function isValidImageUrl(value) {
+    if (/^\/(?!\/)\S*$/.test(value)) return true;
+    try {
+      const url = new URL(value);
+      return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function togglePortfolioPhotoForm(show) {
+    const form = document.getElementById('portfolio-photo-form');
+    if (!form) return;
+    form.style.display = show ? 'flex' : 'none';
+    if (show) {
+      document.getElementById('portfolio-photo-url').focus();
+    } else {
+      form.reset();
+    }
+  }
+
+  async function addPortfolioPhoto(e) {
+    e.preventDefault();
+    const urlInput = document.getElementById('portfolio-photo-url');
+    const url = urlInput.value.trim();
+    const caption = document.getElementById('portfolio-photo-caption').value.trim();
+    if (!isValidImageUrl(url)) {
+      showToast('Enter an image URL starting with https:// or a path starting with /', 'error');
+      urlInput.focus();
+      return;
+    }
+
+    try {
+      const photo = await apiRequest('/api/media/portfolio', {
+        method: 'POST',
+        body: JSON.stringify({ url, caption })
+      });
+
+      STATE.portfolio.push(photo);
+      togglePortfolioPhotoForm(false);
+      renderPortfolio();
+      showToast('Photo added to portfolio', 'success');
+
+    } catch (error) {
+      console.error('Failed to add photo:', error);
+      showToast(error.message || 'Failed to add photo', 'error');
+    }
+  }
+
+  async function updatePortfolioTags(photoId, customerIds) {
+    const updated = await apiRequest(`/api/media/portfolio/${photoId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ customerIds })
+    });
+
+    const index = STATE.portfolio.findIndex(p => p.id === photoId);
+    if (index !== -1) {
+      STATE.portfolio[index] = updated;
+    }
+    renderPortfolio();
+  }
+
+  async function tagPortfolioPhoto(photoId, customerId) {
+    const photo = STATE.portfolio.find(p => p.id === photoId);
+    const customer = STATE.customers.find(c => c.id === customerId);
+    if (!photo || !customer) return;
+
+    if (customer.photoConsent === 'declined') {
+      showToast(`${customer.name} opted out of photos and can't be tagged`, 'error');
+      renderPortfolio();
+      return;
+    }
+
+    try {
+      await updatePortfolioTags(photoId, [...photo.customerIds, customerId]);
+      showToast(`Tagged ${customer.name}`, 'success');
+    } catch (error) {
+      console.error('Failed to tag customer:', error);
+      showToast(error.message || 'Failed to tag customer', 'error');
+      renderPortfolio();
+    }
+  }
+
+  async function untagPortfolioPhoto(photoId, customerId) {
+    const photo = STATE.portfolio.find(p => p.id === photoId);
+    if (!photo) return;
+
+    try {
+      await updatePortfolioTags(photoId, photo.customerIds.filter(id => id !== customerId));
+      showToast('Tag removed', 'success');
+    } catch (error) {
+      console.error('Failed to remove tag:', error);
+      showToast('Failed to remove tag', 'error');
+    }
+  }
+
+  async function deletePortfolioPhoto(photoId) {
+    if (!confirm('Remove this photo from the portfolio?')) return;
+
+    try {
+      await apiRequest(`/api/media/portfolio/${photoId}`, { method: 'DELETE' });
+      STATE.portfolio = STATE.portfolio.filter(p => p.id !== photoId);
+      renderPortfolio();
+      showToast('Photo removed', 'success');
+    } catch (error) {
+      console.error('Failed to remove photo:', error);
+      showToast('Failed to remove photo', 'error');
+    }
+  }
+
   // Make functions available globally
   window.removeServiceImage = removeServiceImage;
+  window.tagPortfolioPhoto = tagPortfolioPhoto;
+  window.untagPortfolioPhoto = untagPortfolioPhoto;
+  window.deletePortfolioPhoto = deletePortfolioPhoto;
 
   // ============================================
   // Settings Panel
@@ -1157,8 +4825,47 @@
     document.getElementById('setting-tiktok').value = STATE.settings.tiktok || '';
     document.getElementById('setting-deposit-percent').value = STATE.settings.depositPercent || 35;
     document.getElementById('setting-deposit-min').value = STATE.settings.depositMin || 15;
-    document.getElementById('setting-hours-open').value = STATE.settings.hoursOpen || '07:00';
-    document.getElementById('setting-hours-close').value = STATE.settings.hoursClose || '19:00';
+    document.getElementById('setting-prepay-no-shows').value = STATE.settings.prepayNoShows ?? window.SallyRules.PREPAY_NO_SHOWS;
+    document.getElementById('setting-prepay-late-cancels').value = STATE.settings.prepayLateCancels ?? window.SallyRules.PREPAY_LATE_CANCELS;
+    document.getElementById('setting-late-arrival-minutes').value = getLateArrivalMinutes();
+    document.getElementById('setting-slot-interval').value = STATE.settings.slotInterval || window.SallyRules.SLOT_INTERVAL;
+    renderScheduleRows(getSchedule(STATE.settings));
+    renderCalendarFeed();
+  }
+
+  function renderScheduleRows(schedule, tbodyId = 'settings-schedule-tbody') {
+    const tbody = document.getElementById(tbodyId);
+    if (!tbody) return;
+
+    tbody.innerHTML = WEEKDAYS.map(day => {
+      const hours = schedule[day] || { open: '07:00', close: '19:00', closed: true };
+      const label = day.charAt(0).toUpperCase() + day.slice(1);
+
+      return `
+        <tr>
+          <td><strong>${label}</strong></td>
+          <td>
+            <label class="checkbox-label">
+              <input type="checkbox" name="${day}-isOpen" ${hours.closed ? '' : 'checked'} aria-label="Open on ${label}">
+              <span>Open</span>
+            </label>
+          </td>
+          <td><input type="time" name="${day}-open" class="form-control" value="${hours.open}" aria-label="${label} opening time"></td>
+          <td><input type="time" name="${day}-close" class="form-control" value="${hours.close}" aria-label="${label} closing time"></td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  function readScheduleRows(formData) {
+    return WEEKDAYS.reduce((schedule, day) => {
+      schedule[day] = {
+        open: formData.get(`${day}-open`) || '07:00',
+        close: formData.get(`${day}-close`) || '19:00',
+        closed: !formData.get(`${day}-isOpen`)
+      };
+      return schedule;
+    }, {});
   }
 
   async function saveSettings(e) {
@@ -1167,7 +4874,15 @@
     const form = e.target;
     const formData = new FormData(form);
 
+    const schedule = readScheduleRows(formData);
+    const invalidDay = WEEKDAYS.find(day => !schedule[day].closed && schedule[day].open >= schedule[day].close);
+    if (invalidDay) {
+      showToast(`Closing time must be after opening time (${invalidDay})`, 'error');
+      return;
+    }
+
     const settings = {
+      ...STATE.settings,
       businessName: formData.get('businessName'),
       phone: formData.get('phone'),
       email: formData.get('email'),
@@ -1176,9 +4891,14 @@
       tiktok: formData.get('tiktok'),
       depositPercent: parseInt(formData.get('depositPercent')),
       depositMin: parseInt(formData.get('depositMin')),
-      hoursOpen: formData.get('hoursOpen'),
-      hoursClose: formData.get('hoursClose')
+      prepayNoShows: parseInt(formData.get('prepayNoShows')) || 0,
+      prepayLateCancels: parseInt(formData.get('prepayLateCancels')) || 0,
+      lateArrivalMinutes: parseInt(formData.get('lateArrivalMinutes')) || CONFIG.LATE_ARRIVAL_MINUTES,
+      slotInterval: parseInt(formData.get('slotInterval')),
+      schedule
     };
+    delete settings.hoursOpen;
+    delete settings.hoursClose;
 
     try {
       await apiRequest('/api/settings', {
@@ -1204,6 +4924,60 @@
     showToast('Settings reset to defaults', 'success');
   }
 
+  function getCalendarFeedUrl(token) {
+    return `${CONFIG.API_BASE_URL || window.location.origin}/api/calendar/feed.ics?token=${encodeURIComponent(token)}`;
+  }
+
+  async function renderCalendarFeed(regenerate = false) {
+    const input = document.getElementById('calendar-feed-url');
+    if (!input) return;
+
+    try {
+      const feed = await apiRequest('/api/calendar/feed-token', { method: regenerate ? 'POST' : 'GET' });
+      input.value = getCalendarFeedUrl(feed.token);
+      input.dataset.token = feed.token;
+    } catch (error) {
+      console.error('Failed to load calendar feed:', error);
+      showToast('Failed to load calendar feed', 'error');
+    }
+  }
+
+  async function copyCalendarFeedUrl() {
+    const input = document.getElementById('calendar-feed-url');
+    try {
+      await navigator.clipboard.writeText(input.value);
+      showToast('Feed address copied', 'success');
+    } catch (error) {
+      input.select();
+      showToast('Press Ctrl+C to copy the address', 'info');
+    }
+  }
+
+  async function downloadCalendarFeed() {
+    const token = document.getElementById('calendar-feed-url').dataset.token;
+
+    // With a backend the browser downloads the feed itself
+    if (CONFIG.API_BASE_URL) {
+      window.open(getCalendarFeedUrl(token), '_blank');
+      return;
+    }
+
+    try {
+      const ics = await apiRequest(`/api/calendar/feed.ics?token=${encodeURIComponent(token)}`);
+      window.SallyICal.downloadCalendar(`sallybraids-bookings-${new Date().toISOString().split('T')[0]}.ics`, ics);
+    } catch (error) {
+      console.error('Failed to build calendar feed:', error);
+      showToast('Failed to download calendar', 'error');
+    }
+  }
+
+  async function regenerateCalendarFeed() {
+    if (!confirm('Calendars subscribed to the current address will stop updating. Regenerate it?')) return;
+
+    await renderCalendarFeed(true);
+    showToast('New feed address created', 'success');
+  }
+
   // ============================================
   // Event Listeners
   // ============================================
@@ -1222,23 +4996,122 @@
     }
 
     // Booking filters
-    ['filter-date-from', 'filter-date-to', 'filter-service', 'filter-status'].forEach(id => {
+    ['filter-date-from', 'filter-date-to', 'filter-service', 'filter-stylist', 'filter-status'].forEach(id => {
       const el = document.getElementById(id);
       if (el) {
         el.addEventListener('change', applyBookingFilters);
       }
     });
 
+    const bookingSearch = document.getElementById('filter-search');
+    if (bookingSearch) {
+      bookingSearch.addEventListener('input', handleBookingSearch);
+    }
+
+    document.querySelectorAll('#bookings-table [data-sort]').forEach(button => {
+      button.addEventListener('click', () => sortBookings(button.dataset.sort));
+    });
+
+    // Bulk booking actions
+    const bulkBar = document.getElementById('bookings-bulk-bar');
+    if (bulkBar) {
+      document.getElementById('bookings-select-all').addEventListener('change', (e) => toggleAllBookings(e.target.checked));
+      document.getElementById('bulk-apply-status').addEventListener('click', applyBulkStatus);
+      document.getElementById('bulk-send-reminder').addEventListener('click', () => runBulkAction('reminder'));
+      document.getElementById('bulk-export').addEventListener('click', exportSelectedBookings);
+      document.getElementById('bulk-cancel').addEventListener('click', () => toggleBulkCancel(true));
+      document.getElementById('bulk-cancel-back').addEventListener('click', () => toggleBulkCancel(false));
+      document.getElementById('bulk-cancel-form').addEventListener('submit', submitBulkCancel);
+      document.getElementById('bulk-clear').addEventListener('click', clearBookingSelection);
+    }
+
+    // Inbox filter
+    const inboxFilter = document.getElementById('inbox-filter');
+    if (inboxFilter) {
+      inboxFilter.addEventListener('change', renderInbox);
+    }
+
     // Export bookings
     const exportBtn = document.getElementById('export-bookings-btn');
     if (exportBtn) {
-      exportBtn.addEventListener('click', exportBookingsCSV);
+      exportBtn.addEventListener('click', exportAllBookings);
     }
 
     // Add block
     const addBlockBtn = document.getElementById('add-block-btn');
     if (addBlockBtn) {
-      addBlockBtn.addEventListener('click', addBlock);
+      addBlockBtn.addEventListener('click', () => openBlockDrawer());
+    }
+
+    // Block drawer
+    const blockForm = document.getElementById('block-form');
+    if (blockForm) {
+      blockForm.addEventListener('input', updateBlockConflicts);
+      blockForm.addEventListener('change', updateBlockConflicts);
+      blockForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveBlock();
+      });
+      document.getElementById('block-form-all-day').addEventListener('change', toggleBlockTimes);
+      document.getElementById('block-form-repeat').addEventListener('change', toggleBlockRepeat);
+      document.getElementById('block-form-date').addEventListener('change', toggleBlockRepeat);
+      document.getElementById('add-block-exception').addEventListener('click', addBlockException);
+      document.getElementById('block-form-exception').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          addBlockException();
+        }
+      });
+      document.getElementById('skip-block-occurrence').addEventListener('click', skipBlockOccurrence);
+      document.getElementById('save-block-form').addEventListener('click', saveBlock);
+      document.getElementById('cancel-block-form').addEventListener('click', closeBlockDrawer);
+      document.getElementById('close-block-drawer').addEventListener('click', closeBlockDrawer);
+      document.getElementById('block-drawer-overlay').addEventListener('click', closeBlockDrawer);
+      document.getElementById('delete-block-form').addEventListener('click', () => {
+        if (STATE.editingBlock) deleteBlock(STATE.editingBlock.id);
+      });
+    }
+
+    // Schedule grid
+    const scheduleGrid = document.getElementById('schedule-grid');
+    if (scheduleGrid) {
+      scheduleGrid.addEventListener('pointerdown', handleSchedulePointerDown);
+      document.getElementById('schedule-prev-btn').addEventListener('click', () => shiftSchedule(-1));
+      document.getElementById('schedule-today-btn').addEventListener('click', () => shiftSchedule(0));
+      document.getElementById('schedule-next-btn').addEventListener('click', () => shiftSchedule(1));
+      document.querySelectorAll('[data-schedule-view]').forEach(button => {
+        button.addEventListener('click', () => setScheduleView(button.dataset.scheduleView));
+      });
+      document.getElementById('schedule-stylist').addEventListener('change', (e) => {
+        STATE.schedule.stylistId = e.target.value;
+        renderSchedule();
+      });
+    }
+
+    // Import .ics
+    const importIcsBtn = document.getElementById('import-ics-btn');
+    const importIcsInput = document.getElementById('import-ics-input');
+    if (importIcsBtn && importIcsInput) {
+      importIcsBtn.addEventListener('click', () => importIcsInput.click());
+      importIcsInput.addEventListener('change', handleIcsImport);
+    }
+
+    const icsImportStylist = document.getElementById('ics-import-stylist');
+    if (icsImportStylist) {
+      icsImportStylist.addEventListener('change', () => {
+        STATE.icsImport.stylistId = icsImportStylist.value || null;
+        renderIcsImport();
+      });
+    }
+
+    const icsImportConfirmBtn = document.getElementById('ics-import-confirm-btn');
+    if (icsImportConfirmBtn) {
+      icsImportConfirmBtn.addEventListener('click', confirmIcsImport);
+    }
+
+    const icsImportCancelBtn = document.getElementById('ics-import-cancel-btn');
+    if (icsImportCancelBtn) {
+      icsImportCancelBtn.addEventListener('click', cancelIcsImport);
     }
 
     // Add service
@@ -1247,6 +5120,27 @@
       addServiceBtn.addEventListener('click', () => openServiceDrawer());
     }
 
+    const addVariantRowBtn = document.getElementById('add-variant-row-btn');
+    if (addVariantRowBtn) {
+      addVariantRowBtn.addEventListener('click', addVariantRow);
+    }
+
+    const addAddOnRowBtn = document.getElementById('add-addon-row-btn');
+    if (addAddOnRowBtn) {
+      addAddOnRowBtn.addEventListener('click', addAddOnRow);
+    }
+
+    const addMaterialRowBtn = document.getElementById('add-material-row-btn');
+    if (addMaterialRowBtn) {
+      addMaterialRowBtn.addEventListener('click', addMaterialRow);
+    }
+
+    // Prep list period
+    const prepDays = document.getElementById('prep-days');
+    if (prepDays) {
+      prepDays.addEventListener('change', renderPrepList);
+    }
+
     // Service drawer controls
     const cancelServiceBtn = document.getElementById('cancel-service-form');
     if (cancelServiceBtn) {
@@ -1265,6 +5159,30 @@
 
     document.getElementById('service-drawer-overlay')?.addEventListener('click', closeServiceDrawer);
 
+    // Stylists
+    const addStylistBtn = document.getElementById('add-stylist-btn');
+    if (addStylistBtn) {
+      addStylistBtn.addEventListener('click', () => openStylistDrawer());
+    }
+
+    const cancelStylistBtn = document.getElementById('cancel-stylist-form');
+    if (cancelStylistBtn) {
+      cancelStylistBtn.addEventListener('click', closeStylistDrawer);
+    }
+
+    const saveStylistBtn = document.getElementById('save-stylist-form');
+    if (saveStylistBtn) {
+      saveStylistBtn.addEventListener('click', saveStylist);
+    }
+
+    const closeStylistDrawerBtn = document.getElementById('close-stylist-drawer');
+    if (closeStylistDrawerBtn) {
+      closeStylistDrawerBtn.addEventListener('click', closeStylistDrawer);
+    }
+
+    document.getElementById('stylist-drawer-overlay')?.addEventListener('click', closeStylistDrawer);
+    document.getElementById('stylist-form-custom-hours')?.addEventListener('change', toggleStylistSchedule);
+
     // Booking drawer controls
     const closeBookingDrawerBtn = document.getElementById('close-booking-drawer-btn');
     if (closeBookingDrawerBtn) {
@@ -1284,6 +5202,13 @@
       uploadServiceImageBtn.addEventListener('click', uploadServiceImage);
     }
 
+    const addPortfolioPhotoBtn = document.getElementById('add-portfolio-photo-btn');
+    if (addPortfolioPhotoBtn) {
+      addPortfolioPhotoBtn.addEventListener('click', () => togglePortfolioPhotoForm(true));
+      document.getElementById('portfolio-photo-cancel').addEventListener('click', () => togglePortfolioPhotoForm(false));
+      document.getElementById('portfolio-photo-form').addEventListener('submit', addPortfolioPhoto);
+    }
+
     // Settings form
     const settingsForm = document.getElementById('settings-form');
     if (settingsForm) {
@@ -1294,11 +5219,44 @@
     if (settingsResetBtn) {
       settingsResetBtn.addEventListener('click', resetSettings);
     }
+
+    // Notifications
+    const templateForm = document.getElementById('notification-template-form');
+    if (templateForm) {
+      templateForm.addEventListener('submit', saveNotificationTemplate);
+      document.getElementById('notification-template-select').addEventListener('change', (e) => {
+        STATE.editingTemplate = e.target.value;
+        fillTemplateForm();
+      });
+      document.getElementById('notification-reset-btn').addEventListener('click', resetNotificationTemplate);
+    }
+
+    const outboxClearBtn = document.getElementById('outbox-clear-btn');
+    if (outboxClearBtn) {
+      outboxClearBtn.addEventListener('click', clearOutbox);
+    }
+
+    // Calendar feed
+    const feedCopyBtn = document.getElementById('calendar-feed-copy-btn');
+    if (feedCopyBtn) {
+      feedCopyBtn.addEventListener('click', copyCalendarFeedUrl);
+      document.getElementById('calendar-feed-download-btn').addEventListener('click', downloadCalendarFeed);
+      document.getElementById('calendar-feed-regenerate-btn').addEventListener('click', regenerateCalendarFeed);
+    }
   }
 
   // Make functions globally available for inline onclick handlers
   window.openBookingDrawer = openBookingDrawer;
+  window.goToBookingsPage = goToBookingsPage;
+  window.toggleBookingSelection = toggleBookingSelection;
   window.updateBookingStatus = updateBookingStatus;
+  window.assignBookingStylist = assignBookingStylist;
+  window.setCustomerPrepay = setCustomerPrepay;
+  window.setBookingPhotoConsent = setBookingPhotoConsent;
+  window.checkInBooking = checkInBooking;
+  window.resolveLateArrival = resolveLateArrival;
+  window.openBlockDrawer = openBlockDrawer;
+  window.removeBlockException = removeBlockException;
   window.deleteBlock = deleteBlock;
 
   // ============================================
@@ -14,19 +14,53 @@
     API_BASE_URL: window.__ENV__?.API_BASE_URL || '',
     STRIPE_KEY: window.__ENV__?.STRIPE_PUBLISHABLE_KEY || '',
     DEPOSIT_PERCENT: 0.35,
-    DEPOSIT_MIN: 15
+    DEPOSIT_MIN: 15,
+    // Used for calendar invites until settings set a location
+    DEFAULT_LOCATION: 'Toronto, ON',
+    // Longest contact form message accepted
+    MESSAGE_MAX_LENGTH: 5000,
+    // Days ahead listed by GET /api/availability with no date or month
+    BLACKOUT_DAYS: 90
+  };
+
+  // Ordered to match Date.prototype.getDay()
+  const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+  // Screen reader text for calendar day statuses
+  const CALENDAR_STATUS_LABELS = {
+    open: 'available',
+    limited: 'limited availability',
+    full: 'fully booked, waitlist open',
+    closed: 'closed'
   };
 
   const STATE = {
     catalog: [],
+    settings: {},
+    stylists: [],
     selectedService: null,
+    selectedVariant: '',
+    selectedStylist: '',
+    selectedAddOns: [],
     selectedDate: null,
     selectedTime: null,
     currentMonth: new Date(),
-    availability: {},
+    availability: { days: {} },
+    slotsRequestKey: null,
+    payment: null,
+    waitlistToken: null,
+    waitlistExpiresAt: null,
+    enquiryToken: null,
+    manage: null,
     isApiConnected: false
   };
 
+  // Test cards accepted by the local Stripe stand-in
+  const MOCK_TEST_CARDS = {
+    '4242424242424242': 'succeeded',
+    '4000000000000002': 'declined'
+  };
+
   // ============================================
   // Utility Functions
   // ============================================
@@ -102,38 +136,118 @@
   }
 
   /**
-   * Parse time restriction from service notes
+   * Convert HH:MM to minutes since midnight
    */
-  function parseTimeRestriction(notes) {
-    if (!notes || !Array.isArray(notes)) return null;
-    
-    const restriction = notes.find(note => 
-      typeof note === 'string' && note.toUpperCase().includes('DO NOT BOOK AFTER')
-    );
-    
-    if (!restriction) return null;
-    
-    const match = restriction.match(/(\d+)(AM|PM)/i);
-    if (!match) return null;
-    
-    let hours = parseInt(match[1]);
-    const period = match[2].toUpperCase();
-    
-    if (period === 'PM' && hours !== 12) hours += 12;
-    if (period === 'AM' && hours === 12) hours = 0;
-    
-    return hours;
+  function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
   }
 
   /**
-   * Check if time violates service restriction
+   * Convert minutes since midnight to HH:MM
    */
-  function violatesTimeRestriction(service, timeString) {
-    const maxHour = parseTimeRestriction(service.notes);
-    if (maxHour === null) return false;
-    
-    const [hours] = timeString.split(':').map(Number);
-    return hours > maxHour;
+  function minutesToTime(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Parse YYYY-MM-DD as a local date (not UTC)
+   */
+  function parseLocalDate(dateString) {
+    return new Date(`${dateString}T00:00:00`);
+  }
+
+  /**
+   * Calculate the deposit for a total using the configured percent and minimum.
+   * The mock API passes the stored settings; the booking form uses the loaded ones.
+   */
+  function calculateDeposit(total, settings = STATE.settings) {
+    const percent = getDepositPercent(settings);
+    const minimum = settings.depositMin ?? CONFIG.DEPOSIT_MIN;
+    return Math.max(total * percent / 100, minimum);
+  }
+
+  /**
+   * Deposit percentage (0-100) from settings
+   */
+  function getDepositPercent(settings = STATE.settings) {
+    return settings.depositPercent ?? CONFIG.DEPOSIT_PERCENT * 100;
+  }
+
+  /**
+   * Format minutes as a duration, e.g. 90 -> "1h 30m"
+   */
+  function formatMinutes(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    if (hours && minutes) return `${hours}h ${minutes}m`;
+    return hours ? `${hours}h` : `${minutes}m`;
+  }
+
+  /**
+   * Match materials answers to the service's questions. Returns null if a
+   * question wasn't answered.
+   */
+  function getMaterialChoices(service, answers) {
+    const choices = [];
+    for (const material of (service && service.materials) || []) {
+      const answer = (answers || []).find(a => a.id === material.id);
+      if (!answer || !['own', 'buy'].includes(answer.source)) return null;
+
+      const choice = {
+        id: material.id,
+        name: material.name,
+        source: answer.source,
+        colour: String(answer.colour || '').trim().slice(0, 50),
+        packs: Math.max(1, parseInt(answer.packs) || 1)
+      };
+      if (answer.source === 'buy' && material.packPrice) choice.packPrice = material.packPrice;
+      choices.push(choice);
+    }
+    return choices;
+  }
+
+  /**
+   * Describe the booking window for display, e.g. "Latest start time: 8:00 AM"
+   */
+  function describeBookingWindow(service) {
+    const { earliestStartTime: earliest, latestStartTime: latest } = service;
+
+    if (earliest && latest) {
+      return `Start between ${formatTimeLabel(earliest)} and ${formatTimeLabel(latest)}`;
+    }
+    if (latest) return `Latest start time: ${formatTimeLabel(latest)}`;
+    if (earliest) return `Earliest start time: ${formatTimeLabel(earliest)}`;
+    return '';
+  }
+
+  /**
+   * The selected service with the selected variant applied
+   */
+  function getEffectiveService() {
+    return window.SallyRules.applyVariant(STATE.selectedService, STATE.selectedVariant);
+  }
+
+  /**
+   * Price and length of a service plus its selected add-ons
+   */
+  function getBookingTotals(service, addOns) {
+    return addOns.reduce((totals, addOn) => ({
+      price: totals.price + addOn.price,
+      minutes: totals.minutes + addOn.minutes
+    }), { price: service.price, minutes: window.SallyRules.parseDuration(service.duration) });
+  }
+
+  /**
+   * Service notes plus the booking window, for display
+   */
+  function getDisplayNotes(service) {
+    const notes = Array.isArray(service.notes) ? [...service.notes] : [];
+    const bookingWindow = describeBookingWindow(service);
+    if (bookingWindow) notes.push(bookingWindow);
+    return notes;
   }
 
   /**
@@ -191,70 +305,612 @@
   function mockApiRequest(endpoint, options = {}) {
     const method = options.method || 'GET';
 
-    // GET /api/availability?date=YYYY-MM-DD
+    // GET /api/availability?date=YYYY-MM-DD&serviceId=...&variantId=...&stylistId=...&addOnIds=a,b&manageToken=...
+    // GET /api/availability?month=YYYY-MM&serviceId=...&variantId=...&stylistId=...&addOnIds=a,b&manageToken=...
     if (endpoint.startsWith('/api/availability') && method === 'GET') {
       const url = new URL(endpoint, 'http://localhost');
       const date = url.searchParams.get('date');
-      
+      const month = url.searchParams.get('month');
+
+      const query = {
+        serviceId: url.searchParams.get('serviceId'),
+        variantId: url.searchParams.get('variantId'),
+        stylistId: url.searchParams.get('stylistId'),
+        addOnIds: (url.searchParams.get('addOnIds') || '').split(',').filter(Boolean)
+      };
+
+      // Rescheduling: the customer's own booking doesn't block the new time
+      const manageToken = url.searchParams.get('manageToken');
+      if (manageToken) {
+        const managed = findBookingByManageToken(manageToken);
+        query.excludeBookingId = managed ? managed.id : null;
+      }
+
       if (date) {
-        return Promise.resolve(generateTimeSlots(date));
+        return Promise.resolve(generateTimeSlots(date, query));
+      }
+
+      if (month) {
+        if (!/^\d{4}-\d{2}$/.test(month)) {
+          return Promise.reject(new Error('Invalid month'));
+        }
+        return Promise.resolve(generateMonthAvailability(month, query));
       }
       
-      // Return blackout dates
+      // Return fully-blocked dates
       return Promise.resolve({
         blackoutDates: getBlackoutDates()
       });
     }
 
+    // GET /api/settings (public business settings)
+    if (endpoint === '/api/settings' && method === 'GET') {
+      return Promise.resolve(getStoredSettings());
+    }
+
+    // GET /api/stylists (active stylists only)
+    if (endpoint === '/api/stylists' && method === 'GET') {
+      return Promise.resolve(getStylists());
+    }
+
+    // GET /api/services
+    if (endpoint === '/api/services' && method === 'GET') {
+      const stored = JSON.parse(localStorage.getItem('sb_services') || 'null');
+      if (stored && stored.length > 0) {
+        return Promise.resolve(stored);
+      }
+
+      // Let the admin dashboard seed its service list from the embedded catalog
+      const catalog = getEmbeddedCatalog();
+      localStorage.setItem('sb_catalog', JSON.stringify(catalog));
+      return Promise.resolve(catalog);
+    }
+
     // POST /api/bookings
     if (endpoint === '/api/bookings' && method === 'POST') {
       const booking = JSON.parse(options.body);
+
+      if (!['granted', 'declined'].includes(booking.photoConsent)) {
+        return Promise.reject(new Error('Choose whether photos may be taken'));
+      }
+
+      // A waitlist offer can only be claimed until it expires
+      const waitlist = JSON.parse(localStorage.getItem('sb_waitlist') || '[]');
+      const waitlistEntry = booking.waitlistToken
+        ? waitlist.find(e => e.offer && e.offer.token === booking.waitlistToken)
+        : null;
+      if (booking.waitlistToken && !window.SallyRules.isOfferOpen(waitlistEntry)) {
+        return Promise.reject(new Error('Waitlist offer not found or expired'));
+      }
+      // ...and only for the day, service, variant and stylist it was made for
+      if (waitlistEntry && (
+        booking.date !== waitlistEntry.date ||
+        booking.serviceId !== waitlistEntry.serviceId ||
+        (waitlistEntry.variantId && booking.variantId !== waitlistEntry.variantId) ||
+        (waitlistEntry.stylistId && booking.stylistId !== waitlistEntry.stylistId)
+      )) {
+        return Promise.reject(new Error('This waitlist offer is for a different appointment'));
+      }
+
+      // Variant, add-on and price details come from the service, not the request
+      const bookedService = window.SallyRules.applyVariant(STATE.catalog.find(s => s.id === booking.serviceId), booking.variantId);
+      if (!bookedService) {
+        return Promise.reject(new Error('Service not found'));
+      }
+      const addOnIds = (booking.addOns || []).map(addOn => addOn.id);
+      booking.addOns = window.SallyRules.getSelectedAddOns(bookedService, addOnIds);
+      booking.serviceTitle = bookedService.title;
+      booking.variantId = bookedService.variantId || null;
+      booking.variantLabel = bookedService.variantLabel || null;
+      booking.servicePrice = bookedService.price;
+      booking.amountDue = roundCents(getBookingTotals(bookedService, booking.addOns).price);
+      booking.depositPercent = getDepositPercent(getStoredSettings());
+      booking.depositAmount = roundCents(calculateDeposit(booking.amountDue, getStoredSettings()));
+
+      // Materials answers are checked against the service's questions
+      booking.materials = getMaterialChoices(bookedService, booking.materials);
+      if (!booking.materials) {
+        return Promise.reject(new Error('Tell us about hair and materials'));
+      }
+
+      // Re-check the slot so two customers can't book overlapping times
+      const { slots, duration } = generateTimeSlots(booking.date, {
+        serviceId: booking.serviceId,
+        variantId: booking.variantId || null,
+        stylistId: booking.stylistId || null,
+        addOnIds
+      });
+      // (this also enforces the service's earliest/latest start times)
+      const slot = slots.find(s => s.time === booking.time);
+      if (!slot || !slot.available) {
+        return Promise.reject(new Error('Selected time is no longer available'));
+      }
+
+      // "Any available" goes to the first free stylist
+      if (slot.stylistIds) {
+        const stylist = getStylists().find(st => st.id === (booking.stylistId || slot.stylistIds[0]));
+        booking.stylistId = stylist.id;
+        booking.stylistName = stylist.name;
+      }
+
+      booking.durationMinutes = duration;
       booking.id = `booking-${Date.now()}`;
+
+      // Booking through a waitlist offer claims it
+      if (waitlistEntry) {
+        waitlistEntry.status = 'booked';
+        waitlistEntry.bookingId = booking.id;
+        booking.waitlistEntryId = waitlistEntry.id;
+        localStorage.setItem('sb_waitlist', JSON.stringify(waitlist));
+      }
+      delete booking.waitlistToken;
+
+      // Booking from an inbox link records the booking on the enquiry
+      if (booking.enquiryToken) {
+        const messages = JSON.parse(localStorage.getItem('sb_messages') || '[]');
+        const message = messages.find(m => m.bookingInvite && m.bookingInvite.token === booking.enquiryToken);
+        if (message && !message.bookingId) {
+          message.bookingId = booking.id;
+          booking.messageId = message.id;
+          localStorage.setItem('sb_messages', JSON.stringify(messages));
+        }
+      }
+      delete booking.enquiryToken;
       booking.status = 'deposit_pending';
+      booking.stripePaymentIntentId = `pi_mock_${booking.id}`;
+      booking.manageToken = createToken('mb');
       booking.createdAt = new Date().toISOString();
 
-      // Store in localStorage
+      // The latest photo choice is kept on the customer too, so an opt-out
+      // covers their portfolio photos from earlier visits
+      const records = loadCustomerRecords();
+      const customer = window.SallyRules.upsertCustomer(records.customers, booking.customer);
+      customer.photoConsent = booking.photoConsent;
+      customer.photoConsentAt = booking.createdAt;
+      booking.customerId = customer.id;
+
+      // Customers flagged under the no-show policy pay in full upfront
+      if (window.SallyRules.requiresPrepayment(customer, getStoredSettings())) {
+        booking.prepayRequired = true;
+        booking.depositPercent = 100;
+        booking.depositAmount = booking.amountDue;
+      }
+
+      // Deposit credit from earlier cancellations pays toward this deposit first.
+      // It's held until the deposit is confirmed and only spent then.
       const bookings = JSON.parse(localStorage.getItem('sb_bookings') || '[]');
+      const creditApplied = Math.min(window.SallyRules.getAvailableCredit(records, bookings, customer), booking.depositAmount);
+      if (creditApplied > 0) {
+        booking.creditApplied = roundCents(creditApplied);
+      }
+      if (booking.creditApplied >= booking.depositAmount) {
+        booking.status = 'deposit_paid';
+        booking.depositPaidAt = booking.createdAt;
+        window.SallyRules.spendHeldCredit(records, booking);
+      }
+      saveCustomerRecords(records);
+
+      // Store in localStorage
       bookings.push(booking);
       localStorage.setItem('sb_bookings', JSON.stringify(bookings));
 
+      notify('booking_received', booking);
+      notify('owner_new_booking', booking);
+      if (booking.status === 'deposit_paid') {
+        notify('deposit_confirmed', booking);
+      }
+
       return Promise.resolve({
         bookingId: booking.id,
-        status: 'deposit_pending',
+        stylistId: booking.stylistId || null,
+        status: booking.status,
         amountDue: booking.amountDue,
         depositAmount: booking.depositAmount,
-        clientSecret: 'mock_client_secret_' + booking.id
+        prepayRequired: Boolean(booking.prepayRequired),
+        creditApplied: booking.creditApplied || 0,
+        amountToPay: getAmountToPay(booking),
+        clientSecret: booking.status === 'deposit_pending' ? `${booking.stripePaymentIntentId}_secret_local` : null,
+        manageToken: booking.manageToken
+      });
+    }
+
+    // GET /api/manage/{token} (the customer's own booking)
+    // POST /api/manage/{token}/reschedule, POST /api/manage/{token}/cancel
+    if (endpoint.startsWith('/api/manage/')) {
+      const [token, action] = endpoint.slice('/api/manage/'.length).split('/');
+      const bookings = JSON.parse(localStorage.getItem('sb_bookings') || '[]');
+      const booking = bookings.find(b => b.manageToken === decodeURIComponent(token));
+      if (!booking) {
+        return Promise.reject(new Error('Booking not found'));
+      }
+
+      const policy = getManagePolicy(booking);
+
+      if (!action && method === 'GET') {
+        return Promise.resolve(toManagedBooking(booking));
+      }
+
+      if (action === 'reschedule' && method === 'POST') {
+        if (!policy.canReschedule) {
+          return Promise.reject(new Error(`Rescheduling needs at least ${policy.noticeHours} hours notice`));
+        }
+
+        const { date, time } = JSON.parse(options.body);
+        const { slots } = generateTimeSlots(date, {
+          serviceId: booking.serviceId,
+          variantId: booking.variantId || null,
+          addOnIds: (booking.addOns || []).map(addOn => addOn.id),
+          excludeBookingId: booking.id
+        });
+        const slot = slots.find(s => s.time === time);
+        if (!slot || !slot.available) {
+          return Promise.reject(new Error('Selected time is no longer available'));
+        }
+
+        const from = { date: booking.date, time: booking.time, stylistId: booking.stylistId || null };
+
+        // Stay with the same stylist when they're free at the new time
+        if (slot.stylistIds) {
+          const stylistId = slot.stylistIds.includes(booking.stylistId) ? booking.stylistId : slot.stylistIds[0];
+          const stylist = getStylists().find(st => st.id === stylistId);
+          booking.stylistId = stylist.id;
+          booking.stylistName = stylist.name;
+        }
+
+        booking.date = date;
+        booking.time = time;
+        booking.rescheduledFrom = { date: from.date, time: from.time };
+        booking.rescheduledAt = new Date().toISOString();
+        delete booking.reminderSentAt;
+        localStorage.setItem('sb_bookings', JSON.stringify(bookings));
+
+        notify('rescheduled', booking);
+        offerWaitlistSlot(from.date, from.stylistId);
+        return Promise.resolve(toManagedBooking(booking));
+      }
+
+      if (action === 'cancel' && method === 'POST') {
+        if (!policy.canCancel) {
+          return Promise.reject(new Error('This booking can no longer be cancelled'));
+        }
+
+        const records = loadCustomerRecords();
+        if (policy.depositTransferable) {
+          window.SallyRules.settleDeposit(records, booking, 'credit', 'cancelled with notice');
+        } else {
+          window.SallyRules.settleDeposit(records, booking, 'forfeit', 'late cancellation');
+          window.SallyRules.recordCustomerIncident(records, booking, 'lateCancelCount');
+        }
+        saveCustomerRecords(records);
+        booking.status = 'cancelled';
+        booking.cancelledBy = 'customer';
+        booking.cancelledAt = new Date().toISOString();
+        localStorage.setItem('sb_bookings', JSON.stringify(bookings));
+
+        notify('cancelled', booking);
+        offerWaitlistSlot(booking.date, booking.stylistId);
+        return Promise.resolve(toManagedBooking(booking));
+      }
+    }
+
+    // POST /api/waitlist (join the waitlist for a fully booked day)
+    if (endpoint === '/api/waitlist' && method === 'POST') {
+      const entry = JSON.parse(options.body);
+      const waitlist = JSON.parse(localStorage.getItem('sb_waitlist') || '[]');
+      const queue = waitlist.filter(e => e.date === entry.date && e.status === 'waiting');
+
+      // Joining twice keeps the original place in the queue
+      const existing = queue.find(e =>
+        e.serviceId === entry.serviceId &&
+        e.customer.email.toLowerCase() === entry.customer.email.toLowerCase()
+      );
+      if (existing) {
+        return Promise.resolve({ id: existing.id, status: existing.status, position: queue.indexOf(existing) + 1 });
+      }
+
+      entry.id = `waitlist-${Date.now()}`;
+      entry.status = 'waiting';
+      entry.createdAt = new Date().toISOString();
+      waitlist.push(entry);
+      localStorage.setItem('sb_waitlist', JSON.stringify(waitlist));
+
+      return Promise.resolve({ id: entry.id, status: entry.status, position: queue.length + 1 });
+    }
+
+    // GET /api/waitlist/offers/{token} (open offer from a freed slot)
+    if (endpoint.startsWith('/api/waitlist/offers/') && method === 'GET') {
+      const token = decodeURIComponent(endpoint.split('/').pop());
+      const waitlist = JSON.parse(localStorage.getItem('sb_waitlist') || '[]');
+      const entry = waitlist.find(e => e.offer && e.offer.token === token);
+      if (!window.SallyRules.isOfferOpen(entry)) {
+        return Promise.reject(new Error('Offer not found or expired'));
+      }
+
+      return Promise.resolve({
+        id: entry.id,
+        serviceId: entry.serviceId,
+        variantId: entry.variantId || null,
+        stylistId: entry.stylistId || null,
+        date: entry.date,
+        customer: entry.customer,
+        expiresAt: entry.offer.expiresAt
       });
     }
 
+    // POST /api/messages (contact form enquiry, read in the admin inbox)
+    if (endpoint === '/api/messages' && method === 'POST') {
+      const input = JSON.parse(options.body);
+      const message = {
+        name: (input.name || '').trim(),
+        email: (input.email || '').trim(),
+        phone: (input.phone || '').trim(),
+        message: (input.message || '').trim()
+      };
+      if (!message.name || !message.email || !message.message) {
+        return Promise.reject(new Error('Name, email and message are required'));
+      }
+      if (message.message.length > CONFIG.MESSAGE_MAX_LENGTH) {
+        return Promise.reject(new Error('Message is too long'));
+      }
+
+      const messages = JSON.parse(localStorage.getItem('sb_messages') || '[]');
+      message.id = `message-${Date.now()}`;
+      message.status = 'unread';
+      message.replies = [];
+      message.bookingInvite = null;
+      message.bookingId = null;
+      message.createdAt = new Date().toISOString();
+      messages.push(message);
+      localStorage.setItem('sb_messages', JSON.stringify(messages));
+
+      return Promise.resolve({ id: message.id, status: 'received' });
+    }
+
+    // GET /api/messages/invites/{token} (contact details for a booking link sent from the inbox)
+    if (endpoint.startsWith('/api/messages/invites/') && method === 'GET') {
+      const token = decodeURIComponent(endpoint.split('/').pop());
+      const messages = JSON.parse(localStorage.getItem('sb_messages') || '[]');
+      const message = messages.find(m => m.bookingInvite && m.bookingInvite.token === token);
+      if (!message || message.bookingId) {
+        return Promise.reject(new Error('Booking link not found or already used'));
+      }
+
+      return Promise.resolve({
+        customer: { name: message.name, email: message.email, phone: message.phone || '' }
+      });
+    }
+
+    // POST /api/webhooks/stripe (events from the local Stripe stand-in)
+    if (endpoint === '/api/webhooks/stripe' && method === 'POST') {
+      const event = JSON.parse(options.body);
+      const intent = event.data.object;
+      const bookings = JSON.parse(localStorage.getItem('sb_bookings') || '[]');
+      const booking = bookings.find(b => b.id === intent.metadata.bookingId);
+      if (!booking) {
+        return Promise.reject(new Error('Booking not found'));
+      }
+
+      if (event.type === 'payment_intent.succeeded' && booking.status === 'deposit_pending') {
+        booking.status = 'deposit_paid';
+        booking.stripePaymentIntentId = intent.id;
+        booking.depositPaidAt = new Date().toISOString();
+        delete booking.lastPaymentError;
+        const records = loadCustomerRecords();
+        window.SallyRules.spendHeldCredit(records, booking);
+        saveCustomerRecords(records);
+        notify('deposit_confirmed', booking);
+      } else if (event.type === 'payment_intent.payment_failed') {
+        booking.lastPaymentError = intent.last_payment_error?.message || 'Payment failed';
+      }
+
+      localStorage.setItem('sb_bookings', JSON.stringify(bookings));
+      return Promise.resolve({ received: true });
+    }
+
     return Promise.reject(new Error('Endpoint not implemented in mock mode'));
   }
 
   /**
-   * Generate time slots for a given date
+   * Random URL-safe token for manage and waitlist links
    */
-  function generateTimeSlots(dateString) {
-    const slots = [];
-    const startHour = 7;
-    const endHour = 19;
-    
-    // Get existing bookings for this date
+  function createToken(prefix) {
+    return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Round a currency amount to cents
+   */
+  function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Deposit still to pay by card once credit is applied
+   */
+  function getAmountToPay(booking) {
+    return roundCents(booking.depositAmount - (booking.creditApplied || 0));
+  }
+
+  /**
+   * Stored customers and deposit ledger, as SallyRules' customer and credit
+   * functions take them
+   */
+  function loadCustomerRecords() {
+    return {
+      customers: JSON.parse(localStorage.getItem('sb_customers') || '[]'),
+      ledger: JSON.parse(localStorage.getItem('sb_ledger') || '[]')
+    };
+  }
+
+  function saveCustomerRecords(records) {
+    localStorage.setItem('sb_customers', JSON.stringify(records.customers));
+    localStorage.setItem('sb_ledger', JSON.stringify(records.ledger));
+  }
+
+  /**
+   * The booking customer's deposit credit balance and ledger entries
+   */
+  function getCustomerCredit(customer) {
+    const records = loadCustomerRecords();
+    return window.SallyRules.getCustomerLedger(records.ledger, window.SallyRules.findCustomer(records.customers, customer));
+  }
+
+  /**
+   * Send a booking email/SMS (kept in the local outbox in mock mode)
+   */
+  function notify(event, booking) {
+    if (window.SallyNotifications) {
+      window.SallyNotifications.notify(event, booking);
+    }
+  }
+
+  /**
+   * Find a booking from its manage link token
+   */
+  function findBookingByManageToken(token) {
     const bookings = JSON.parse(localStorage.getItem('sb_bookings') || '[]');
-    const dateBookings = bookings.filter(b => b.date === dateString);
-    const bookedTimes = dateBookings.map(b => b.time);
+    return bookings.find(b => b.manageToken === token) || null;
+  }
 
-    for (let hour = startHour; hour < endHour; hour++) {
-      const time = `${hour.toString().padStart(2, '0')}:00`;
-      const available = !bookedTimes.includes(time);
-      
-      slots.push({
-        time,
-        available,
-        label: formatTimeLabel(time)
-      });
+  /**
+   * What the customer may still do with a booking under the 48-hour policy
+   */
+  function getManagePolicy(booking) {
+    const start = parseLocalDate(booking.date);
+    start.setMinutes(timeToMinutes(booking.time));
+    const hoursUntil = (start - Date.now()) / (60 * 60 * 1000);
+
+    const isActive = booking.status === 'deposit_pending' || booking.status === 'deposit_paid';
+    const hasNotice = hoursUntil >= window.SallyRules.DEPOSIT_TRANSFER_HOURS;
+
+    return {
+      noticeHours: window.SallyRules.DEPOSIT_TRANSFER_HOURS,
+      canReschedule: isActive && hasNotice,
+      canCancel: isActive && hoursUntil > 0,
+      depositTransferable: hasNotice
+    };
+  }
+
+  /**
+   * Customer-facing view of a booking (no internal fields)
+   */
+  function toManagedBooking(booking) {
+    return {
+      bookingId: booking.id,
+      serviceId: booking.serviceId,
+      serviceTitle: booking.serviceTitle,
+      variantId: booking.variantId || null,
+      variantLabel: booking.variantLabel || null,
+      addOns: booking.addOns || [],
+      date: booking.date,
+      time: booking.time,
+      durationMinutes: booking.durationMinutes,
+      stylistName: booking.stylistName || null,
+      status: booking.status,
+      amountDue: booking.amountDue,
+      depositAmount: booking.depositAmount,
+      creditApplied: booking.creditApplied || 0,
+      amountToPay: getAmountToPay(booking),
+      depositOutcome: booking.depositOutcome || null,
+      clientSecret: booking.status === 'deposit_pending' ? `${booking.stripePaymentIntentId}_secret_local` : null,
+      policy: getManagePolicy(booking),
+      credit: getCustomerCredit(booking.customer)
+    };
+  }
+
+  /**
+   * Offer a freed slot to the next customers waitlisted for that day
+   * (what the admin dashboard's POST /api/waitlist/offers does)
+   */
+  function offerWaitlistSlot(date, stylistId = null) {
+    const waitlist = JSON.parse(localStorage.getItem('sb_waitlist') || '[]');
+    window.SallyRules.offerWaitlistSlot(waitlist, date, stylistId, getAvailabilityData());
+    localStorage.setItem('sb_waitlist', JSON.stringify(waitlist));
+  }
+
+  /**
+   * Time slots for a date from what the API has stored (see
+   * SallyRules.generateTimeSlots). Without bookings, the slots show the day's
+   * normal opening.
+   */
+  function generateTimeSlots(dateString, query = {}, includeBookings = true) {
+    const data = getAvailabilityData();
+    if (!includeBookings) data.bookings = [];
+
+    const result = window.SallyRules.generateTimeSlots(dateString, query, data);
+    result.slots.forEach(slot => { slot.label = formatTimeLabel(slot.time); });
+    return result;
+  }
+
+  /**
+   * Services, settings, stylists, blocks and bookings, as availability needs them
+   */
+  function getAvailabilityData() {
+    return {
+      catalog: STATE.catalog,
+      settings: getStoredSettings(),
+      stylists: getStylists(),
+      blocks: getBlocks(),
+      bookings: JSON.parse(localStorage.getItem('sb_bookings') || '[]')
+    };
+  }
+
+  /**
+   * Get active stylists set up in the admin Stylists panel
+   */
+  function getStylists() {
+    const stylists = JSON.parse(localStorage.getItem('sb_stylists') || '[]');
+    return stylists.filter(stylist => stylist.active !== false);
+  }
+
+  /**
+   * Summarize a day as open, limited, full or closed.
+   * "limited" means some start times that would normally fit are already taken.
+   */
+  function getDayStatus(dateString, query = {}) {
+    const now = new Date();
+    const today = formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+    if (dateString < today) {
+      return { date: dateString, status: 'closed', availableSlots: 0 };
     }
 
-    return { date: dateString, slots };
+    const { slots } = generateTimeSlots(dateString, query);
+    if (slots.length === 0) {
+      return { date: dateString, status: 'closed', availableSlots: 0 };
+    }
+
+    // Start times that would be bookable with no appointments on the day
+    const possible = generateTimeSlots(dateString, query, false)
+      .slots.filter(slot => slot.available).length;
+    const availableSlots = slots.filter(slot => slot.available).length;
+
+    let status = 'open';
+    if (possible === 0) status = 'closed';
+    else if (availableSlots === 0) status = 'full';
+    else if (availableSlots < possible) status = 'limited';
+
+    return { date: dateString, status, availableSlots };
+  }
+
+  /**
+   * Per-day availability for a whole month (YYYY-MM)
+   */
+  function generateMonthAvailability(month, query = {}) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const daysInMonth = new Date(year, monthIndex, 0).getDate();
+    const days = [];
+
+    for (let day = 1; day <= daysInMonth; day++) {
+      days.push(getDayStatus(formatDate(new Date(Date.UTC(year, monthIndex - 1, day))), query));
+    }
+
+    return {
+      month,
+      serviceId: query.serviceId || null,
+      variantId: query.variantId || null,
+      stylistId: query.stylistId || null,
+      days
+    };
   }
 
   /**
@@ -268,23 +924,89 @@
   }
 
   /**
-   * Get blackout dates (mock: random dates in future)
+   * Get settings saved from the admin Settings panel
+   */
+  function getStoredSettings() {
+    return JSON.parse(localStorage.getItem('sb_settings') || '{}');
+  }
+
+  /**
+   * Load business settings (schedule, deposit) for the booking modal
+   */
+  async function loadSettings() {
+    try {
+      STATE.settings = await apiRequest('/api/settings') || {};
+    } catch (error) {
+      console.error('Failed to load settings:', error);
+      STATE.settings = {};
+    }
+  }
+
+  /**
+   * Get calendar blocks created in the admin Calendar panel
+   */
+  function getBlocks() {
+    return JSON.parse(localStorage.getItem('sb_blocks') || '[]');
+  }
+
+  /**
+   * Get dates in the next BLACKOUT_DAYS the whole salon is closed by full-day blocks
    */
   function getBlackoutDates() {
-    const stored = localStorage.getItem('sb_blackout_dates');
-    if (stored) return JSON.parse(stored);
-    
-    // Generate some random blackout dates for demo
-    const dates = [];
+    const blocks = getBlocks().filter(block => !block.stylistId && window.SallyRules.isFullDayBlock(block));
     const today = new Date();
-    for (let i = 0; i < 3; i++) {
-      const date = new Date(today);
-      date.setDate(date.getDate() + Math.floor(Math.random() * 60) + 10);
-      dates.push(formatDate(date));
+    const dates = [];
+
+    for (let i = 0; i < CONFIG.BLACKOUT_DAYS; i++) {
+      const date = formatDate(new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate() + i)));
+      if (blocks.some(block => window.SallyRules.blockOccursOn(block, date))) dates.push(date);
+    }
+    return dates;
+  }
+
+  /**
+   * Load per-day status for the month shown in the calendar.
+   * Responses for a month or service the user has since moved away from are ignored.
+   */
+  async function loadMonthAvailability() {
+    const d = STATE.currentMonth;
+    const month = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    const params = new URLSearchParams({ month });
+    if (STATE.selectedService) {
+      params.set('serviceId', STATE.selectedService.id);
+    }
+    if (STATE.selectedVariant) {
+      params.set('variantId', STATE.selectedVariant);
+    }
+    if (STATE.selectedStylist) {
+      params.set('stylistId', STATE.selectedStylist);
+    }
+    if (STATE.selectedAddOns.length > 0) {
+      params.set('addOnIds', STATE.selectedAddOns.join(','));
+    }
+    if (STATE.manage) {
+      params.set('manageToken', STATE.manage.token);
+    }
+
+    const key = params.toString();
+    STATE.availability.requestKey = key;
+
+    try {
+      const data = await apiRequest(`/api/availability?${key}`);
+      if (STATE.availability.requestKey !== key) return;
+
+      STATE.availability.days = {};
+      (data.days || []).forEach(day => {
+        STATE.availability.days[day.date] = day.status;
+      });
+    } catch (error) {
+      console.error('Failed to load month availability:', error);
+      if (STATE.availability.requestKey === key) {
+        STATE.availability.days = {};
+      }
     }
-    
-    localStorage.setItem('sb_blackout_dates', JSON.stringify(dates));
-    return dates;
+
+    renderCalendar();
   }
 
   // ============================================
@@ -292,20 +1014,42 @@
   // ============================================
 
   /**
-   * Load and render services
+   * Read the catalog embedded in index.html
    */
-  function loadServices() {
+  function getEmbeddedCatalog() {
     const catalogScript = document.getElementById('catalog-data');
     if (!catalogScript) {
       console.error('Catalog data not found');
-      return;
+      return [];
     }
 
     try {
-      STATE.catalog = JSON.parse(catalogScript.textContent);
-      renderServices();
+      return JSON.parse(catalogScript.textContent);
     } catch (error) {
       console.error('Failed to parse catalog data:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Load and render services.
+   * Renders the embedded catalog immediately, then replaces it with the
+   * services managed in the admin dashboard if there are any.
+   */
+  async function loadServices() {
+    STATE.catalog = getEmbeddedCatalog().map(window.SallyRules.migrateService);
+    renderServices();
+    populateServiceOptions();
+
+    try {
+      const services = await apiRequest('/api/services');
+      if (Array.isArray(services) && services.length > 0) {
+        STATE.catalog = services.map(window.SallyRules.migrateService);
+        renderServices();
+        populateServiceOptions();
+      }
+    } catch (error) {
+      console.error('Failed to load services, using embedded catalog:', error);
     }
   }
 
@@ -352,7 +1096,15 @@
     container.querySelectorAll('[data-service-book]').forEach(btn => {
       btn.addEventListener('click', (e) => {
         const serviceId = e.currentTarget.dataset.serviceBook;
-        openBookingModal(serviceId);
+        const variantSelect = container.querySelector(`[data-variant-select="${serviceId}"]`);
+        openBookingModal(serviceId, variantSelect ? variantSelect.value : null);
+      });
+    });
+
+    // Variant pickers update the card's price, duration, image and notes
+    container.querySelectorAll('[data-variant-select]').forEach(select => {
+      select.addEventListener('change', (e) => {
+        updateServiceCardVariant(e.currentTarget.dataset.variantSelect, e.currentTarget.value);
       });
     });
 
@@ -366,14 +1118,39 @@
   }
 
   /**
-   * Render individual service card
+   * Render service notes as a list
    */
-  function renderServiceCard(service) {
-    const notesHtml = service.notes && service.notes.length > 0
-      ? `<ul>${service.notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>`
+  function renderNotesList(notes) {
+    return notes.length > 0
+      ? `<ul>${notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>`
       : '<p>Standard service guidelines apply.</p>';
+  }
+
+  /**
+   * Show a different variant on an already rendered service card
+   */
+  function updateServiceCardVariant(serviceId, variantId) {
+    const select = document.querySelector(`[data-variant-select="${serviceId}"]`);
+    const card = select && select.closest('.service-card');
+    const service = window.SallyRules.applyVariant(STATE.catalog.find(s => s.id === serviceId), variantId);
+    if (!card || !service) return;
+
+    card.querySelector('[data-variant-duration]').textContent = service.duration;
+    card.querySelector('[data-variant-price]').textContent = formatCurrency(service.price);
+    card.querySelector('[data-variant-image]').innerHTML = renderServiceImage(service);
+    card.querySelector('[data-variant-notes]').innerHTML = renderNotesList(getDisplayNotes(service));
+  }
 
-    const shouldCollapse = service.notes && service.notes.length > 3;
+  /**
+   * Render individual service card
+   */
+  function renderServiceCard(baseService) {
+    // Cards open on the first variant; the picker below switches between them
+    const service = window.SallyRules.applyVariant(baseService, null);
+    const notes = getDisplayNotes(service);
+    const notesHtml = renderNotesList(notes);
+
+    const shouldCollapse = notes.length > 3;
     const notesClass = shouldCollapse ? 'service-notes service-notes-collapsed' : 'service-notes';
 
     return `
@@ -386,18 +1163,28 @@
                 <circle cx="8" cy="8" r="6" stroke="currentColor" stroke-width="1.5"/>
                 <path d="M8 4v4l3 2" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
               </svg>
-              <span>${escapeHtml(service.duration)}</span>
+              <span data-variant-duration>${escapeHtml(service.duration)}</span>
             </div>
-            <div class="service-price">${formatCurrency(service.price)}</div>
+            <div class="service-price" data-variant-price>${formatCurrency(service.price)}</div>
           </div>
         </div>
         
-        <div class="service-card-image">
+        <div class="service-card-image" data-variant-image>
           ${renderServiceImage(service)}
         </div>
         
         <div class="service-card-body">
-          <div class="${notesClass}" id="notes-${service.id}">
+          ${service.variantId ? `
+            <div class="form-group service-variant-picker">
+              <label for="variant-${service.id}" class="form-label">Size / Length</label>
+              <select id="variant-${service.id}" class="form-control" data-variant-select="${service.id}">
+                ${baseService.variants.map(variant => `
+                  <option value="${escapeHtml(variant.id)}">${escapeHtml(variant.label)}</option>
+                `).join('')}
+              </select>
+            </div>
+          ` : ''}
+          <div class="${notesClass}" id="notes-${service.id}" data-variant-notes>
             ${notesHtml}
           </div>
           ${shouldCollapse ? `
@@ -465,15 +1252,16 @@
   /**
    * Open booking modal
    */
-  function openBookingModal(serviceId = null) {
+  function openBookingModal(serviceId = null, variantId = null) {
     const modal = document.getElementById('booking-modal');
     if (!modal) return;
 
-    // Pre-select service if provided
+    // Pre-select service (and variant) if provided
     if (serviceId) {
       const service = STATE.catalog.find(s => s.id === serviceId);
       if (service) {
         STATE.selectedService = service;
+        STATE.selectedVariant = variantId || '';
         const select = document.getElementById('booking-service');
         if (select) {
           select.value = serviceId;
@@ -484,6 +1272,12 @@
 
     modal.style.display = 'flex';
     document.body.style.overflow = 'hidden';
+
+    // Bookings, blocks and hours may have changed since the page loaded
+    loadSettings().then(() => {
+      updateDepositCalculation();
+      loadMonthAvailability();
+    });
     
     // Focus management
     const firstInput = modal.querySelector('select, input, button');
@@ -505,16 +1299,27 @@
     
     // Reset form
     const form = document.getElementById('booking-form');
-    if (form) form.reset();
+    if (form) {
+      form.reset();
+      form.classList.remove('rescheduling');
+    }
     
     // Clear state
     STATE.selectedService = null;
     STATE.selectedDate = null;
     STATE.selectedTime = null;
+    STATE.waitlistToken = null;
+    STATE.waitlistExpiresAt = null;
+    STATE.enquiryToken = null;
+    STATE.manage = null;
+    document.getElementById('booking-modal-title').textContent = 'Book Your Appointment';
     
-    // Hide service details and deposit
+    // Hide service details, deposit and waitlist prompt
     document.getElementById('service-details').style.display = 'none';
     document.getElementById('deposit-summary').style.display = 'none';
+    hideWaitlistPrompt();
+
+    resetPaymentStep();
   }
 
   /**
@@ -539,6 +1344,13 @@
     if (!serviceId) {
       detailsDiv.style.display = 'none';
       STATE.selectedService = null;
+      STATE.selectedVariant = '';
+      STATE.selectedAddOns = [];
+      populateVariantOptions();
+      renderAddOnOptions();
+      renderMaterialOptions();
+      populateStylistOptions();
+      loadMonthAvailability();
       return;
     }
 
@@ -546,27 +1358,214 @@
     if (!service) return;
 
     STATE.selectedService = service;
+    STATE.selectedAddOns = [];
+    populateVariantOptions();
+    renderAddOnOptions();
+    renderMaterialOptions();
+    populateStylistOptions();
+    renderSelectedServiceDetails();
+    
+    // Update deposit calculation
+    updateDepositCalculation();
+    
+    // Reload day statuses and time slots (service length changes which slots fit)
+    loadMonthAvailability();
+    if (STATE.selectedDate) {
+      selectDate(STATE.selectedDate);
+    }
+  }
+
+  /**
+   * Show duration, price and notes for the selected service and variant
+   */
+  function renderSelectedServiceDetails() {
+    const detailsDiv = document.getElementById('service-details');
+    const service = getEffectiveService();
+    if (!detailsDiv || !service) return;
 
-    // Update display
     document.getElementById('service-duration').textContent = service.duration;
     document.getElementById('service-price').textContent = formatCurrency(service.price);
     
     const notesDisplay = document.getElementById('service-notes-display');
-    if (service.notes && service.notes.length > 0) {
-      notesDisplay.innerHTML = `<ul>${service.notes.map(n => `<li>${escapeHtml(n)}</li>`).join('')}</ul>`;
+    const notes = getDisplayNotes(service);
+    if (notes.length > 0) {
+      notesDisplay.innerHTML = `<ul>${notes.map(n => `<li>${escapeHtml(n)}</li>`).join('')}</ul>`;
       notesDisplay.style.display = 'block';
     } else {
       notesDisplay.style.display = 'none';
     }
 
     detailsDiv.style.display = 'block';
-    
-    // Update deposit calculation
+  }
+
+  /**
+   * Populate the variant dropdown, keeping the current variant if the service has it
+   */
+  function populateVariantOptions() {
+    const group = document.getElementById('variant-group');
+    const select = document.getElementById('booking-variant');
+    if (!group || !select) return;
+
+    const variants = (STATE.selectedService && STATE.selectedService.variants) || [];
+    if (variants.length === 0) {
+      group.style.display = 'none';
+      select.required = false;
+      STATE.selectedVariant = '';
+      return;
+    }
+
+    select.innerHTML = variants.map(variant =>
+      `<option value="${escapeHtml(variant.id)}">${escapeHtml(variant.label)} - ${formatCurrency(variant.price ?? STATE.selectedService.price)}</option>`
+    ).join('');
+
+    if (!variants.some(variant => variant.id === STATE.selectedVariant)) {
+      STATE.selectedVariant = variants[0].id;
+    }
+    select.value = STATE.selectedVariant;
+    select.required = true;
+    group.style.display = 'block';
+  }
+
+  /**
+   * Switch variant; price, length and start-time window may all change
+   */
+  function updateSelectedVariant(e) {
+    STATE.selectedVariant = e.target.value;
+    renderSelectedServiceDetails();
     updateDepositCalculation();
-    
-    // Refresh calendar (restrictions may have changed)
+    loadMonthAvailability();
+    if (STATE.selectedDate) {
+      selectDate(STATE.selectedDate);
+    }
+  }
+
+  /**
+   * Render add-on checkboxes for the selected service
+   */
+  function renderAddOnOptions() {
+    const group = document.getElementById('addons-group');
+    const list = document.getElementById('addons-list');
+    if (!group || !list) return;
+
+    const addOns = (STATE.selectedService && STATE.selectedService.addOns) || [];
+    if (addOns.length === 0) {
+      group.style.display = 'none';
+      list.innerHTML = '';
+      return;
+    }
+
+    list.innerHTML = addOns.map(addOn => `
+      <label class="checkbox-label">
+        <input type="checkbox" name="addOns" value="${escapeHtml(addOn.id)}">
+        <span>${escapeHtml(addOn.name)} (+${formatCurrency(addOn.price)}${addOn.minutes ? `, +${formatMinutes(addOn.minutes)}` : ''})</span>
+      </label>
+    `).join('');
+    group.style.display = 'block';
+  }
+
+  /**
+   * Render the hair and materials questions for the selected service
+   */
+  function renderMaterialOptions() {
+    const group = document.getElementById('materials-group');
+    const list = document.getElementById('materials-list');
+    if (!group || !list) return;
+
+    const materials = (STATE.selectedService && STATE.selectedService.materials) || [];
+    if (materials.length === 0) {
+      group.style.display = 'none';
+      list.innerHTML = '';
+      updateMaterialsCostNote();
+      return;
+    }
+
+    // Fields are named by position; material ids are admin-entered text
+    list.innerHTML = materials.map((material, index) => {
+      const field = `material-${index}`;
+      const price = material.packPrice ? ` (${formatCurrency(material.packPrice)} per pack, paid at your appointment)` : '';
+      const colours = material.colours || [];
+
+      return `
+        <fieldset class="material-item">
+          <legend>${escapeHtml(material.name)}</legend>
+          <div class="form-group">
+            <label class="checkbox-label">
+              <input type="radio" name="${field}-source" value="own" required>
+              <span>I'll bring my own</span>
+            </label>
+            <label class="checkbox-label">
+              <input type="radio" name="${field}-source" value="buy" required>
+              <span>I'd like to buy it from you${price}</span>
+            </label>
+            <div class="form-error" role="alert"></div>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="${field}-colour" class="form-label">Colour</label>
+              ${colours.length > 0 ? `
+                <select id="${field}-colour" name="${field}-colour" class="form-control">
+                  ${colours.map(colour => `<option value="${escapeHtml(colour)}">${escapeHtml(colour)}</option>`).join('')}
+                </select>
+              ` : `<input type="text" id="${field}-colour" name="${field}-colour" class="form-control" maxlength="50">`}
+            </div>
+            <div class="form-group">
+              <label for="${field}-packs" class="form-label">Packs</label>
+              <input type="number" id="${field}-packs" name="${field}-packs" class="form-control" min="1" max="30" value="${material.packs || 1}">
+            </div>
+          </div>
+        </fieldset>
+      `;
+    }).join('');
+    group.style.display = 'block';
+    updateMaterialsCostNote();
+  }
+
+  /**
+   * Materials answers from the booking form, in the shape the API expects
+   */
+  function readMaterialAnswers(service, formData) {
+    return ((service && service.materials) || []).map((material, index) => ({
+      id: material.id,
+      source: formData.get(`material-${index}-source`),
+      colour: formData.get(`material-${index}-colour`) || '',
+      packs: parseInt(formData.get(`material-${index}-packs`)) || material.packs || 1
+    }));
+  }
+
+  /**
+   * Show what hair and beads bought from the salon will cost on the day
+   */
+  function updateMaterialsCostNote() {
+    const note = document.getElementById('materials-cost-note');
+    const form = document.getElementById('booking-form');
+    if (!note || !form) return;
+
+    const service = STATE.selectedService;
+    const choices = getMaterialChoices(service, readMaterialAnswers(service, new FormData(form))
+      .filter(answer => answer.source)) || [];
+    const cost = choices
+      .filter(choice => choice.source === 'buy' && choice.packPrice)
+      .reduce((sum, choice) => sum + choice.packs * choice.packPrice, 0);
+
+    if (cost > 0) {
+      note.textContent = `Materials from us: ${formatCurrency(cost)}, paid at your appointment (not part of the deposit).`;
+      note.style.display = 'block';
+    } else {
+      note.style.display = 'none';
+    }
+  }
+
+  /**
+   * Update selected add-ons; they change the price and which slots fit
+   */
+  function updateSelectedAddOns() {
+    STATE.selectedAddOns = [...document.querySelectorAll('#addons-list input[name="addOns"]:checked')]
+      .map(input => input.value);
+
+    updateDepositCalculation();
+    loadMonthAvailability();
     if (STATE.selectedDate) {
-      renderCalendar();
+      selectDate(STATE.selectedDate);
     }
   }
 
@@ -580,13 +1579,27 @@
       return;
     }
 
-    const total = STATE.selectedService.price;
-    const depositAmount = Math.max(
-      total * CONFIG.DEPOSIT_PERCENT,
-      CONFIG.DEPOSIT_MIN
-    );
+    const service = getEffectiveService();
+    const addOns = window.SallyRules.getSelectedAddOns(service, STATE.selectedAddOns);
+    const total = getBookingTotals(service, addOns).price;
+    const depositAmount = calculateDeposit(total);
     const remaining = total - depositAmount;
 
+    // Itemize only when add-ons are selected
+    const breakdown = document.getElementById('deposit-breakdown');
+    if (breakdown) {
+      breakdown.innerHTML = addOns.length === 0 ? '' : [
+        { label: service.variantLabel ? `${service.title} (${service.variantLabel})` : service.title, price: service.price },
+        ...addOns.map(addOn => ({ label: `+ ${addOn.name}`, price: addOn.price }))
+      ].map(line => `
+        <div class="deposit-row deposit-line">
+          <span class="deposit-label">${escapeHtml(line.label)}</span>
+          <span class="deposit-value">${formatCurrency(line.price)}</span>
+        </div>
+      `).join('');
+    }
+
+    document.getElementById('deposit-percent-label').textContent = `${getDepositPercent()}%`;
     document.getElementById('deposit-total').textContent = formatCurrency(total);
     document.getElementById('deposit-amount').textContent = formatCurrency(depositAmount);
     document.getElementById('deposit-remaining').textContent = formatCurrency(remaining);
@@ -607,19 +1620,33 @@
 
     if (prevBtn) {
       prevBtn.addEventListener('click', () => {
-        STATE.currentMonth.setMonth(STATE.currentMonth.getMonth() - 1);
-        renderCalendar();
+        changeMonth(-1);
       });
     }
 
     if (nextBtn) {
       nextBtn.addEventListener('click', () => {
-        STATE.currentMonth.setMonth(STATE.currentMonth.getMonth() + 1);
-        renderCalendar();
+        changeMonth(1);
       });
     }
 
     renderCalendar();
+    loadSettings().then(() => {
+      updateDepositCalculation();
+      loadMonthAvailability();
+    });
+  }
+
+  /**
+   * Move the calendar forward or back by a month
+   */
+  function changeMonth(offset) {
+    // Pin to the 1st so e.g. Jan 31 + 1 month doesn't skip February
+    STATE.currentMonth.setDate(1);
+    STATE.currentMonth.setMonth(STATE.currentMonth.getMonth() + offset);
+    STATE.availability.days = {};
+    renderCalendar();
+    loadMonthAvailability();
   }
 
   /**
@@ -647,8 +1674,8 @@
     // Get previous month's last few days
     const prevMonthDays = new Date(year, month, 0).getDate();
     
-    // Get blackout dates
-    const blackoutDates = getBlackoutDates();
+    // Per-day status from the month availability query
+    const dayStatuses = STATE.availability.days || {};
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
@@ -664,17 +1691,23 @@
       const date = new Date(year, month, day);
       const dateString = formatDate(date);
       const isPast = date < today;
-      const isBlackout = blackoutDates.includes(dateString);
+      // Weekly closed days are known from settings before the month query returns
+      const status = isPast ? null : (dayStatuses[dateString] || (window.SallyRules.getDayHours(STATE.settings, dateString) ? null : 'closed'));
+      // Full days stay selectable so customers can join the waitlist
+      const isUnavailable = isPast || status === 'closed';
       const isToday = formatDate(date) === formatDate(today);
       const isSelected = STATE.selectedDate === dateString;
 
       let classes = 'calendar-date';
-      if (isPast || isBlackout) classes += ' disabled';
+      if (status) classes += ` ${status}`;
+      if (isUnavailable) classes += ' disabled';
       if (isToday) classes += ' today';
       if (isSelected) classes += ' selected';
 
-      const disabled = isPast || isBlackout ? 'disabled' : '';
-      const ariaLabel = `${date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}${isPast ? ' (past)' : ''}${isBlackout ? ' (unavailable)' : ''}`;
+      const disabled = isUnavailable ? 'disabled' : '';
+      const dateLabel = date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+      const statusLabel = isPast ? 'past' : CALENDAR_STATUS_LABELS[status];
+      const ariaLabel = statusLabel ? `${dateLabel} (${statusLabel})` : dateLabel;
 
       html += `<button type="button" class="${classes}" data-date="${dateString}" ${disabled} aria-label="${ariaLabel}">${day}</button>`;
     }
@@ -698,69 +1731,415 @@
   }
 
   /**
-   * Select a date and load time slots
+   * Select a date and load time slots.
+   * Slots for a date the user has since moved away from are ignored.
+   */
+  async function selectDate(dateString) {
+    STATE.selectedDate = dateString;
+    STATE.selectedTime = null;
+    
+    renderCalendar();
+    
+    // Load time slots
+    const timeSelect = document.getElementById('booking-time');
+    if (!timeSelect) return;
+
+    timeSelect.disabled = true;
+    timeSelect.innerHTML = '<option value="">Loading...</option>';
+    hideWaitlistPrompt();
+
+    const params = new URLSearchParams({ date: dateString });
+    if (STATE.selectedService) {
+      params.set('serviceId', STATE.selectedService.id);
+    }
+    if (STATE.selectedVariant) {
+      params.set('variantId', STATE.selectedVariant);
+    }
+    if (STATE.selectedStylist) {
+      params.set('stylistId', STATE.selectedStylist);
+    }
+    if (STATE.selectedAddOns.length > 0) {
+      params.set('addOnIds', STATE.selectedAddOns.join(','));
+    }
+    if (STATE.manage) {
+      params.set('manageToken', STATE.manage.token);
+    }
+
+    const key = params.toString();
+    STATE.slotsRequestKey = key;
+
+    try {
+      const data = await apiRequest(`/api/availability?${key}`);
+      if (STATE.slotsRequestKey !== key) return;
+      populateTimeSlots(data.slots);
+    } catch (error) {
+      if (STATE.slotsRequestKey !== key) return;
+      console.error('Failed to load time slots:', error);
+      showToast('Failed to load available times. Please try again.', 'error');
+      timeSelect.innerHTML = '<option value="">Error loading times</option>';
+    }
+  }
+
+  /**
+   * Populate time slot dropdown
+   */
+  function populateTimeSlots(slots) {
+    const timeSelect = document.getElementById('booking-time');
+    if (!timeSelect) return;
+
+    // Start times outside the service's booking window are never offered
+    const bookable = slots.filter(slot =>
+      slot.available && window.SallyRules.isWithinBookingWindow(getEffectiveService(), slot.time)
+    );
+
+    if (bookable.length === 0) {
+      timeSelect.innerHTML = '<option value="">No times available for this service</option>';
+      timeSelect.disabled = true;
+      showWaitlistPrompt();
+      return;
+    }
+
+    let html = '<option value="">Select a time...</option>';
+
+    bookable.forEach(slot => {
+      html += `<option value="${slot.time}">${slot.label}</option>`;
+    });
+
+    timeSelect.innerHTML = html;
+    timeSelect.disabled = false;
+  }
+
+  // ============================================
+  // Waitlist
+  // ============================================
+
+  /**
+   * Offer the waitlist when the selected day has no times left
+   */
+  function showWaitlistPrompt() {
+    const prompt = document.getElementById('waitlist-prompt');
+    if (!prompt || !STATE.selectedService || STATE.manage) return;
+
+    document.getElementById('waitlist-message').textContent =
+      'No times left on this day. Join the waitlist and we\'ll send you an offer if a spot opens up.';
+    document.getElementById('waitlist-join-btn').style.display = '';
+    prompt.style.display = 'block';
+  }
+
+  /**
+   * Hide the waitlist prompt
+   */
+  function hideWaitlistPrompt() {
+    const prompt = document.getElementById('waitlist-prompt');
+    if (prompt) prompt.style.display = 'none';
+  }
+
+  /**
+   * Join the waitlist for the selected day and service
+   */
+  async function joinWaitlist() {
+    const form = document.getElementById('booking-form');
+    const service = getEffectiveService();
+    if (!form || !service || !STATE.selectedDate) return;
+
+    // The waitlist needs the contact details from "Your Information"
+    const contactFields = ['name', 'phone', 'email'].map(name => form.querySelector(`[name="${name}"]`));
+    const invalid = contactFields.filter(field => !validateField(field));
+    if (invalid.length > 0) {
+      showToast('Enter your name, phone and email below to join the waitlist', 'error');
+      invalid[0].focus();
+      return;
+    }
+
+    const joinBtn = document.getElementById('waitlist-join-btn');
+    joinBtn.disabled = true;
+
+    try {
+      const response = await apiRequest('/api/waitlist', {
+        method: 'POST',
+        body: JSON.stringify({
+          serviceId: service.id,
+          serviceTitle: service.title,
+          variantId: service.variantId || null,
+          variantLabel: service.variantLabel || null,
+          stylistId: STATE.selectedStylist || null,
+          date: STATE.selectedDate,
+          customer: {
+            name: form.querySelector('[name="name"]').value.trim(),
+            phone: form.querySelector('[name="phone"]').value.trim(),
+            email: form.querySelector('[name="email"]').value.trim()
+          }
+        })
+      });
+
+      document.getElementById('waitlist-message').textContent =
+        `You're #${response.position} on the waitlist for this day. We'll contact you if a spot opens up.`;
+      joinBtn.style.display = 'none';
+      showToast('You\'ve been added to the waitlist', 'success', 'Waitlist');
+    } catch (error) {
+      console.error('Failed to join waitlist:', error);
+      showToast('Failed to join the waitlist. Please try again or contact us directly.', 'error');
+    } finally {
+      joinBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Open the booking modal from a waitlist offer link (?waitlist=TOKEN)
+   */
+  async function handleWaitlistOffer() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('waitlist');
+    if (!token) return;
+
+    window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+
+    let offer;
+    try {
+      offer = await apiRequest(`/api/waitlist/offers/${encodeURIComponent(token)}`);
+    } catch (error) {
+      console.error('Failed to load waitlist offer:', error);
+      showToast('This waitlist offer has expired or was already claimed.', 'error', 'Waitlist');
+      return;
+    }
+
+    openBookingModal(offer.serviceId, offer.variantId);
+    STATE.waitlistToken = token;
+    STATE.waitlistExpiresAt = offer.expiresAt;
+
+    if (offer.stylistId) {
+      const stylistSelect = document.getElementById('booking-stylist');
+      if (stylistSelect) stylistSelect.value = offer.stylistId;
+      STATE.selectedStylist = offer.stylistId;
+    }
+
+    const form = document.getElementById('booking-form');
+    ['name', 'phone', 'email'].forEach(name => {
+      form.querySelector(`[name="${name}"]`).value = offer.customer[name] || '';
+    });
+
+    const offerDate = parseLocalDate(offer.date);
+    STATE.currentMonth = new Date(offerDate.getFullYear(), offerDate.getMonth(), 1);
+    selectDate(offer.date);
+
+    const expires = new Date(offer.expiresAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    showToast(`A spot opened up. Book by ${expires} to claim it.`, 'success', 'Waitlist');
+  }
+
+  /**
+   * Open the booking modal from a link sent in reply to a contact form message (?enquiry=TOKEN)
+   */
+  async function handleEnquiryLink() {
+    const token = new URLSearchParams(window.location.search).get('enquiry');
+    if (!token) return;
+
+    window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+
+    let invite;
+    try {
+      invite = await apiRequest(`/api/messages/invites/${encodeURIComponent(token)}`);
+    } catch (error) {
+      console.error('Failed to load booking link:', error);
+      showToast('This booking link has expired or was already used. You can still book below.', 'error');
+      return;
+    }
+
+    openBookingModal();
+    STATE.enquiryToken = token;
+
+    const form = document.getElementById('booking-form');
+    ['name', 'phone', 'email'].forEach(name => {
+      form.querySelector(`[name="${name}"]`).value = invite.customer[name] || '';
+    });
+  }
+
+  // ============================================
+  // Manage Booking
+  // ============================================
+
+  /**
+   * Customer link to view, reschedule or cancel a booking
+   */
+  function getManageLink(token) {
+    return `${window.location.pathname}?manage=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Open the manage view from a manage link (?manage=TOKEN)
+   */
+  async function handleManageLink() {
+    const token = new URLSearchParams(window.location.search).get('manage');
+    if (!token) return;
+
+    try {
+      const booking = await apiRequest(`/api/manage/${encodeURIComponent(token)}`);
+      openBookingModal();
+      STATE.manage = { token, booking };
+      document.getElementById('booking-modal-title').textContent = 'Manage Your Booking';
+      renderManageView();
+    } catch (error) {
+      console.error('Failed to load booking:', error);
+      showToast('We couldn\'t find that booking. Please check your link or contact us.', 'error', 'Manage Booking');
+    }
+  }
+
+  /**
+   * Render the booking summary and the actions the policy allows
+   */
+  function renderManageView() {
+    const { booking } = STATE.manage;
+    const { policy } = booking;
+    const title = booking.variantLabel ? `${booking.serviceTitle} (${booking.variantLabel})` : booking.serviceTitle;
+    const statusLabels = {
+      deposit_pending: 'Deposit pending',
+      deposit_paid: 'Confirmed',
+      completed: 'Completed',
+      cancelled: 'Cancelled',
+      no_show: 'Missed'
+    };
+
+    document.getElementById('manage-booking-details').innerHTML = `
+      <div class="deposit-summary">
+        <div class="deposit-line"><span>Reference</span><span>${escapeHtml(booking.bookingId)}</span></div>
+        <div class="deposit-line"><span>Service</span><span>${escapeHtml(title)}</span></div>
+        ${booking.addOns.map(addOn => `
+          <div class="deposit-line"><span>+ ${escapeHtml(addOn.name)}</span><span>${formatCurrency(addOn.price)}</span></div>
+        `).join('')}
+        <div class="deposit-line"><span>When</span><span>${escapeHtml(booking.date)} at ${formatTimeLabel(booking.time)}</span></div>
+        ${booking.stylistName ? `<div class="deposit-line"><span>Stylist</span><span>${escapeHtml(booking.stylistName)}</span></div>` : ''}
+        <div class="deposit-line"><span>Status</span><span>${statusLabels[booking.status] || escapeHtml(booking.status)}</span></div>
+        <div class="deposit-line"><span>Deposit</span><span>${formatCurrency(booking.depositAmount)}</span></div>
+        <div class="deposit-line"><strong>Total</strong><strong>${formatCurrency(booking.amountDue)}</strong></div>
+      </div>
+      ${renderCreditLedger(booking.credit)}
+    `;
+
+    let note;
+    if (booking.status === 'cancelled') {
+      note = 'This booking was cancelled.';
+      if (booking.depositOutcome === 'credit') note += ' Your deposit is kept as credit toward a future appointment.';
+      if (booking.depositOutcome === 'forfeited') note += ' The deposit was forfeited under our cancellation policy.';
+    } else if (policy.canReschedule) {
+      note = `You can reschedule or cancel up to ${policy.noticeHours} hours before your appointment. Your deposit moves with you, and if you cancel it's kept as credit toward a future appointment.`;
+    } else if (policy.canCancel) {
+      note = `Your appointment is less than ${policy.noticeHours} hours away, so it can't be rescheduled online. Cancelling now forfeits your deposit. Please call us if you need help.`;
+    } else {
+      note = 'This appointment can no longer be changed online.';
+    }
+    document.getElementById('manage-policy-note').textContent = note;
+
+    document.getElementById('manage-pay-btn').style.display = booking.clientSecret ? '' : 'none';
+    document.getElementById('manage-reschedule-btn').style.display = policy.canReschedule ? '' : 'none';
+    document.getElementById('manage-cancel-btn').style.display = policy.canCancel ? '' : 'none';
+
+    document.getElementById('booking-form').classList.remove('rescheduling');
+    showModalView('manage-booking');
+  }
+
+  /**
+   * The customer's deposit credit history
+   */
+  function renderCreditLedger(credit) {
+    if (!credit || credit.entries.length === 0) return '';
+
+    const typeLabels = { credit: 'Credit', debit: 'Used', forfeit: 'Forfeited' };
+    return `
+      <h3 class="form-section-title">Deposit Credit</h3>
+      <div class="deposit-summary">
+        ${credit.entries.map(entry => `
+          <div class="deposit-line">
+            <span>${typeLabels[entry.type]}: ${escapeHtml(entry.description)}</span>
+            <span>${entry.type === 'credit' ? '+' : '−'}${formatCurrency(entry.amount)}</span>
+          </div>
+        `).join('')}
+        <div class="deposit-line"><strong>Available credit</strong><strong>${formatCurrency(credit.balance)}</strong></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Pay a pending deposit from the manage view
    */
-  async function selectDate(dateString) {
-    STATE.selectedDate = dateString;
+  function payManagedDeposit() {
+    const { token, booking } = STATE.manage;
+    showPaymentStep({ ...booking, manageToken: token });
+  }
+
+  /**
+   * Show the calendar and slot picker to choose a new time
+   */
+  function startReschedule() {
+    const { booking } = STATE.manage;
+    const form = document.getElementById('booking-form');
+
+    // Look up times for the same service, size and add-ons with any stylist
+    STATE.selectedService = STATE.catalog.find(s => s.id === booking.serviceId) || null;
+    STATE.selectedVariant = booking.variantId || '';
+    STATE.selectedAddOns = booking.addOns.map(addOn => addOn.id);
+    STATE.selectedStylist = '';
+    STATE.selectedDate = null;
     STATE.selectedTime = null;
-    
-    renderCalendar();
-    
-    // Load time slots
-    const timeSelect = document.getElementById('booking-time');
-    if (!timeSelect) return;
 
+    const bookingDate = parseLocalDate(booking.date);
+    STATE.currentMonth = new Date(bookingDate.getFullYear(), bookingDate.getMonth(), 1);
+
+    const timeSelect = document.getElementById('booking-time');
+    timeSelect.innerHTML = '<option value="">Select a date first...</option>';
     timeSelect.disabled = true;
-    timeSelect.innerHTML = '<option value="">Loading...</option>';
 
-    try {
-      const data = await apiRequest(`/api/availability?date=${dateString}`);
-      populateTimeSlots(data.slots);
-    } catch (error) {
-      console.error('Failed to load time slots:', error);
-      showToast('Failed to load available times. Please try again.', 'error');
-      timeSelect.innerHTML = '<option value="">Error loading times</option>';
-    }
+    form.classList.add('rescheduling');
+    form.querySelector('button[type="submit"]').textContent = 'Confirm New Time';
+    showModalView('booking-form');
+    loadMonthAvailability();
   }
 
   /**
-   * Populate time slot dropdown
+   * Move the booking to the picked date and time
    */
-  function populateTimeSlots(slots) {
-    const timeSelect = document.getElementById('booking-time');
-    if (!timeSelect) return;
+  async function handleRescheduleSubmit(form) {
+    if (!STATE.selectedDate || !STATE.selectedTime) {
+      showToast('Please select a new date and time', 'error');
+      return;
+    }
 
-    let html = '<option value="">Select a time...</option>';
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Processing...';
 
-    slots.forEach(slot => {
-      if (slot.available) {
-        // Check if time violates service restriction
-        let warning = '';
-        if (STATE.selectedService && violatesTimeRestriction(STATE.selectedService, slot.time)) {
-          warning = ' ⚠️ (Not recommended - check service notes)';
-        }
-        
-        html += `<option value="${slot.time}">${slot.label}${warning}</option>`;
-      }
-    });
+    try {
+      STATE.manage.booking = await apiRequest(`/api/manage/${encodeURIComponent(STATE.manage.token)}/reschedule`, {
+        method: 'POST',
+        body: JSON.stringify({ date: STATE.selectedDate, time: STATE.selectedTime })
+      });
+      showToast('Your appointment has been moved.', 'success', 'Rescheduled');
+      renderManageView();
+    } catch (error) {
+      console.error('Reschedule failed:', error);
+      showToast('That time couldn\'t be booked. Please pick another time or contact us.', 'error', 'Reschedule Error');
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Confirm New Time';
+    }
+  }
 
-    timeSelect.innerHTML = html;
-    timeSelect.disabled = false;
+  /**
+   * Cancel the booking, warning first if the deposit will be forfeited
+   */
+  async function cancelManagedBooking() {
+    const { token, booking } = STATE.manage;
+    const message = booking.status === 'deposit_paid' && !booking.policy.depositTransferable
+      ? `Cancel this appointment? It's less than ${booking.policy.noticeHours} hours away, so your deposit will be forfeited.`
+      : 'Cancel this appointment?';
+    if (!confirm(message)) return;
 
-    // Add change listener
-    timeSelect.addEventListener('change', (e) => {
-      STATE.selectedTime = e.target.value;
-      
-      // Show warning if violates restriction
-      if (STATE.selectedService && STATE.selectedTime && 
-          violatesTimeRestriction(STATE.selectedService, STATE.selectedTime)) {
-        showToast(
-          'This time may not allow us to complete your service. Please check the service notes for booking restrictions.',
-          'warning',
-          'Timing Restriction'
-        );
-      }
-    });
+    try {
+      STATE.manage.booking = await apiRequest(`/api/manage/${encodeURIComponent(token)}/cancel`, { method: 'POST' });
+      showToast('Your appointment has been cancelled.', 'success', 'Booking Cancelled');
+      renderManageView();
+    } catch (error) {
+      console.error('Cancel failed:', error);
+      showToast('Failed to cancel. Please contact us directly.', 'error', 'Cancel Error');
+    }
   }
 
   // ============================================
@@ -771,13 +2150,18 @@
    * Validate form field
    */
   function validateField(field) {
-    const value = field.value.trim();
+    let value = field.value.trim();
+    if (field.type === 'checkbox') {
+      value = field.checked ? value : '';
+    } else if (field.type === 'radio') {
+      value = field.form.querySelector(`input[name="${field.name}"]:checked`) ? value : '';
+    }
     const type = field.type;
     const name = field.name;
     let error = '';
 
     if (field.required && !value) {
-      error = 'This field is required';
+      error = type === 'radio' ? 'Please choose an option' : 'This field is required';
     } else if (type === 'email' && value) {
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       if (!emailRegex.test(value)) {
@@ -794,8 +2178,9 @@
       error = 'Please select a time slot';
     }
 
-    // Show/hide error
-    const errorDiv = field.parentElement.querySelector('.form-error');
+    // Show/hide error (checkboxes and radios sit inside a label)
+    const errorDiv = field.parentElement.querySelector('.form-error') ||
+      field.closest('.form-group')?.querySelector('.form-error');
     if (errorDiv) {
       if (error) {
         errorDiv.textContent = error;
@@ -819,6 +2204,11 @@
   async function handleBookingSubmit(e) {
     e.preventDefault();
 
+    if (STATE.manage) {
+      handleRescheduleSubmit(e.target);
+      return;
+    }
+
     const form = e.target;
     const formData = new FormData(form);
 
@@ -840,33 +2230,49 @@
     if (!STATE.selectedTime) {
       showToast('Please select a time', 'error');
       isValid = false;
+    } else if (!window.SallyRules.isWithinBookingWindow(getEffectiveService(), STATE.selectedTime)) {
+      showToast(describeBookingWindow(getEffectiveService()), 'error', 'Time Not Available');
+      isValid = false;
     }
 
     if (!isValid) {
       return;
     }
 
+    // An expired offer can't be claimed; the customer can still book normally
+    if (STATE.waitlistToken && new Date(STATE.waitlistExpiresAt) <= new Date()) {
+      STATE.waitlistToken = null;
+      STATE.waitlistExpiresAt = null;
+      showToast('This waitlist offer has expired. You can still book any time that\'s open.', 'error', 'Waitlist');
+      return;
+    }
+
     // Prepare booking data
-    const total = STATE.selectedService.price;
-    const depositAmount = Math.max(
-      total * CONFIG.DEPOSIT_PERCENT,
-      CONFIG.DEPOSIT_MIN
-    );
+    const service = getEffectiveService();
+    const addOns = window.SallyRules.getSelectedAddOns(service, STATE.selectedAddOns);
+    const totals = getBookingTotals(service, addOns);
 
     const bookingData = {
-      serviceId: STATE.selectedService.id,
-      serviceTitle: STATE.selectedService.title,
+      serviceId: service.id,
+      serviceTitle: service.title,
+      variantId: service.variantId || null,
+      variantLabel: service.variantLabel || null,
+      addOns,
       date: STATE.selectedDate,
       time: STATE.selectedTime,
+      durationMinutes: totals.minutes,
+      stylistId: STATE.selectedStylist || null,
       customer: {
         name: formData.get('name'),
         phone: formData.get('phone'),
         email: formData.get('email')
       },
       notes: formData.get('notes') || '',
-      depositPercent: CONFIG.DEPOSIT_PERCENT,
-      amountDue: total,
-      depositAmount: depositAmount
+      materials: readMaterialAnswers(service, formData),
+      policyAccepted: formData.get('consent') === 'on',
+      photoConsent: formData.get('photoConsent'),
+      waitlistToken: STATE.waitlistToken,
+      enquiryToken: STATE.enquiryToken
     };
 
     // Submit booking
@@ -880,28 +2286,27 @@
         body: JSON.stringify(bookingData)
       });
 
-      // Success!
-      showToast(
-        'Your booking has been created! Redirecting to payment...',
-        'success',
-        'Booking Confirmed'
-      );
-
-      // In production, redirect to Stripe payment
-      // For mock mode, just show success and close
-      setTimeout(() => {
-        if (CONFIG.API_BASE_URL && CONFIG.STRIPE_KEY) {
-          // TODO: Initialize Stripe Payment Element with response.clientSecret
-          // window.location.href = `/payment?booking=${response.bookingId}`;
-        } else {
-          showToast(
-            'Mock mode: Booking saved locally. In production, you would be redirected to payment.',
-            'info',
-            'Demo Mode'
-          );
-          closeBookingModal();
-        }
-      }, 1500);
+      const booked = {
+        bookingId: response.bookingId,
+        clientSecret: response.clientSecret,
+        serviceTitle: service.title,
+        variantLabel: service.variantLabel || null,
+        date: bookingData.date,
+        time: bookingData.time,
+        amountDue: response.amountDue,
+        depositAmount: response.depositAmount,
+        prepayRequired: Boolean(response.prepayRequired),
+        creditApplied: response.creditApplied || 0,
+        durationMinutes: bookingData.durationMinutes,
+        manageToken: response.manageToken || null
+      };
+
+      // The time is held; take the deposit to confirm it (unless credit covered it)
+      if (response.status === 'deposit_paid') {
+        showBookingConfirmation(booked);
+      } else {
+        showPaymentStep(booked);
+      }
 
     } catch (error) {
       console.error('Booking failed:', error);
@@ -920,7 +2325,7 @@
   /**
    * Handle contact form submission
    */
-  function handleContactSubmit(e) {
+  async function handleContactSubmit(e) {
     e.preventDefault();
 
     const form = e.target;
@@ -936,15 +2341,382 @@
 
     if (!isValid) return;
 
-    // In production, this would submit to backend
-    // For now, just show success message
-    showToast(
-      'Thank you for your message! We\'ll get back to you soon.',
-      'success',
-      'Message Sent'
-    );
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+
+    try {
+      await apiRequest('/api/messages', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: formData.get('name'),
+          email: formData.get('email'),
+          phone: formData.get('phone') || '',
+          message: formData.get('message')
+        })
+      });
+
+      showToast(
+        'Thank you for your message! We\'ll get back to you soon.',
+        'success',
+        'Message Sent'
+      );
+      form.reset();
+    } catch (error) {
+      console.error('Failed to send message:', error);
+      showToast('Failed to send your message. Please call or email us instead.', 'error');
+    } finally {
+      submitBtn.disabled = false;
+    }
+  }
+
+  // ============================================
+  // Deposit Payment
+  // ============================================
+
+  let stripeLoader = null;
+
+  /**
+   * Load Stripe.js on first use
+   */
+  function loadStripe() {
+    if (!stripeLoader) {
+      stripeLoader = new Promise((resolve, reject) => {
+        if (window.Stripe) {
+          resolve(window.Stripe(CONFIG.STRIPE_KEY));
+          return;
+        }
+        const script = document.createElement('script');
+        script.src = 'https://js.stripe.com/v3/';
+        script.onload = () => resolve(window.Stripe(CONFIG.STRIPE_KEY));
+        script.onerror = () => {
+          stripeLoader = null;
+          reject(new Error('Stripe.js failed to load'));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return stripeLoader;
+  }
+
+  /**
+   * Client secrets from the mock API are paid through the local stand-in
+   */
+  function isMockClientSecret(clientSecret) {
+    return clientSecret.startsWith('pi_mock_');
+  }
+
+  /**
+   * Show or clear the payment step's status message
+   */
+  function setPaymentMessage(message, type = 'error') {
+    const messageDiv = document.getElementById('payment-message');
+    if (!messageDiv) return;
+    messageDiv.textContent = message;
+    messageDiv.classList.toggle('success', type === 'success');
+  }
+
+  /**
+   * Set the pay button's label and enabled state
+   */
+  function setPaymentButton(label, disabled = false) {
+    const submitBtn = document.getElementById('payment-submit');
+    if (!submitBtn) return;
+    submitBtn.textContent = label;
+    submitBtn.disabled = disabled;
+  }
+
+  /**
+   * Render the booking summary shown above the payment form
+   */
+  function renderPaymentSummary(booking) {
+    const title = booking.variantLabel ? `${booking.serviceTitle} (${booking.variantLabel})` : booking.serviceTitle;
+    return `
+      <div class="deposit-line">
+        <span>${escapeHtml(title)}</span>
+        <span>${formatCurrency(booking.amountDue)}</span>
+      </div>
+      <div class="deposit-line">
+        <span>${escapeHtml(booking.date)} at ${formatTimeLabel(booking.time)}</span>
+      </div>
+      ${booking.creditApplied > 0 ? `
+        <div class="deposit-line">
+          <span>Deposit (${formatCurrency(booking.depositAmount)}) less credit</span>
+          <span>−${formatCurrency(booking.creditApplied)}</span>
+        </div>
+      ` : ''}
+      <div class="deposit-line">
+        <strong>Deposit due now</strong>
+        <strong>${formatCurrency(getAmountToPay(booking))}</strong>
+      </div>
+      ${booking.prepayRequired ? '<p class="prepay-note">Full prepayment is required for this booking under our no-show policy.</p>' : ''}
+    `;
+  }
+
+  /**
+   * Show one of the booking modal's views and hide the others
+   */
+  function showModalView(viewId) {
+    ['booking-form', 'payment-step', 'booking-confirmation', 'manage-booking'].forEach(id => {
+      const view = document.getElementById(id);
+      if (view) view.style.display = id === viewId ? 'block' : 'none';
+    });
+  }
+
+  /**
+   * Swap the booking form for the payment step
+   */
+  function showPaymentStep(booking, errorMessage = '') {
+    STATE.payment = { booking, stripe: null, elements: null };
+
+    showModalView('payment-step');
+    document.getElementById('payment-summary').innerHTML = renderPaymentSummary(booking);
+
+    setPaymentMessage(errorMessage);
+    setPaymentButton(errorMessage ? 'Try Again' : `Pay ${formatCurrency(getAmountToPay(booking))} Deposit`);
+    mountPaymentElement();
+  }
+
+  /**
+   * Mount the Stripe Payment Element, or the local stand-in for mock bookings
+   */
+  async function mountPaymentElement() {
+    const container = document.getElementById('payment-element');
+    const payment = STATE.payment;
+
+    if (isMockClientSecret(payment.booking.clientSecret)) {
+      container.innerHTML = `
+        <p class="payment-test-hint">Test mode: use card 4242 4242 4242 4242 to pay, or 4000 0000 0000 0002 to see a decline.</p>
+        <div class="form-group">
+          <label for="mock-card-number" class="form-label">Card Number</label>
+          <input type="text" id="mock-card-number" class="form-control" inputmode="numeric" autocomplete="cc-number" placeholder="1234 1234 1234 1234">
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="mock-card-expiry" class="form-label">Expiry</label>
+            <input type="text" id="mock-card-expiry" class="form-control" autocomplete="cc-exp" placeholder="MM / YY">
+          </div>
+          <div class="form-group">
+            <label for="mock-card-cvc" class="form-label">CVC</label>
+            <input type="text" id="mock-card-cvc" class="form-control" inputmode="numeric" autocomplete="cc-csc" placeholder="123">
+          </div>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = '';
+    if (!CONFIG.STRIPE_KEY) {
+      setPaymentMessage('Online payment is unavailable right now. Your time is held — please contact us to pay your deposit.');
+      setPaymentButton('Pay Deposit', true);
+      return;
+    }
+
+    try {
+      payment.stripe = await loadStripe();
+      payment.elements = payment.stripe.elements({ clientSecret: payment.booking.clientSecret });
+      payment.elements.create('payment').mount('#payment-element');
+    } catch (error) {
+      console.error('Failed to load payment form:', error);
+      setPaymentMessage('We couldn\'t load the payment form. Check your connection and try again.');
+      setPaymentButton('Try Again');
+      payment.elements = null;
+    }
+  }
+
+  /**
+   * Pay with the local stand-in and send its webhook event to the mock API
+   */
+  async function confirmMockPayment(booking) {
+    const cardNumber = document.getElementById('mock-card-number').value.replace(/\s/g, '');
+    const expiry = document.getElementById('mock-card-expiry').value.trim();
+    const cvc = document.getElementById('mock-card-cvc').value.trim();
+
+    if (!/^\d{2}\s*\/\s*\d{2}$/.test(expiry) || !/^\d{3,4}$/.test(cvc)) {
+      return { error: { message: 'Please enter the card expiry (MM / YY) and CVC.' } };
+    }
+
+    const outcome = MOCK_TEST_CARDS[cardNumber];
+    const error = outcome === 'declined'
+      ? { message: 'Your card was declined.' }
+      : (outcome ? null : { message: 'Your card number is invalid.' });
+
+    const intent = {
+      id: booking.clientSecret.split('_secret_')[0],
+      amount: Math.round(getAmountToPay(booking) * 100),
+      metadata: { bookingId: booking.bookingId },
+      last_payment_error: error
+    };
+
+    await mockApiRequest('/api/webhooks/stripe', {
+      method: 'POST',
+      body: JSON.stringify({
+        type: error ? 'payment_intent.payment_failed' : 'payment_intent.succeeded',
+        data: { object: intent }
+      })
+    });
+
+    return error ? { error } : { status: 'succeeded' };
+  }
+
+  /**
+   * Confirm the payment with Stripe (3-D Secure may redirect away and back)
+   */
+  async function confirmStripePayment(payment) {
+    if (!payment.elements) {
+      await mountPaymentElement();
+      return { error: { message: 'Payment form reloaded. Please enter your card details.' } };
+    }
+
+    // Keep the summary for the confirmation view if Stripe redirects
+    sessionStorage.setItem('sb_pending_payment', JSON.stringify(payment.booking));
+
+    const { error, paymentIntent } = await payment.stripe.confirmPayment({
+      elements: payment.elements,
+      confirmParams: {
+        return_url: `${window.location.origin}${window.location.pathname}?booking=${encodeURIComponent(payment.booking.bookingId)}`
+      },
+      redirect: 'if_required'
+    });
+
+    return error ? { error } : { status: paymentIntent.status };
+  }
+
+  /**
+   * Handle the pay button
+   */
+  async function handlePaymentSubmit(e) {
+    e.preventDefault();
+
+    const payment = STATE.payment;
+    if (!payment) return;
+
+    setPaymentMessage('');
+    setPaymentButton('Processing...', true);
+
+    try {
+      const result = isMockClientSecret(payment.booking.clientSecret)
+        ? await confirmMockPayment(payment.booking)
+        : await confirmStripePayment(payment);
+
+      if (result.error) {
+        setPaymentMessage(result.error.message || 'Payment failed. Please try again.');
+        setPaymentButton('Try Again');
+        return;
+      }
+
+      showBookingConfirmation(payment.booking, result.status);
+    } catch (error) {
+      console.error('Payment failed:', error);
+      setPaymentMessage('Something went wrong while processing your payment. Please try again.');
+      setPaymentButton('Try Again');
+    }
+  }
+
+  /**
+   * Show the confirmation view once the deposit is paid (or processing)
+   */
+  function showBookingConfirmation(booking, status = 'succeeded') {
+    sessionStorage.removeItem('sb_pending_payment');
+    STATE.payment = null;
+
+    const confirmation = document.getElementById('booking-confirmation');
+    const details = document.getElementById('booking-confirmation-details');
+    const title = booking.variantLabel ? `${booking.serviceTitle} (${booking.variantLabel})` : booking.serviceTitle;
+    const statusNote = status === 'processing'
+      ? 'Your deposit is processing. We\'ll email you once it clears.'
+      : 'Your deposit has been received and your appointment is confirmed.';
+
+    details.innerHTML = `
+      <p>${statusNote}</p>
+      <div class="deposit-summary">
+        <div class="deposit-line"><span>Reference</span><span>${escapeHtml(booking.bookingId)}</span></div>
+        <div class="deposit-line"><span>Service</span><span>${escapeHtml(title)}</span></div>
+        <div class="deposit-line"><span>When</span><span>${escapeHtml(booking.date)} at ${formatTimeLabel(booking.time)}</span></div>
+        <div class="deposit-line"><span>Deposit paid</span><span>${formatCurrency(booking.depositAmount)}</span></div>
+        ${booking.creditApplied > 0 ? `<div class="deposit-line"><span>Paid from credit</span><span>${formatCurrency(booking.creditApplied)}</span></div>` : ''}
+        <div class="deposit-line"><strong>Due at appointment</strong><strong>${formatCurrency(booking.amountDue - booking.depositAmount)}</strong></div>
+      </div>
+      ${booking.manageToken ? `
+        <p><a href="${getManageLink(booking.manageToken)}">Manage or reschedule this booking</a> — save this link to make changes later.</p>
+      ` : ''}
+      <button type="button" class="btn btn-secondary btn-block" id="add-to-calendar-btn">Add to Calendar (.ics)</button>
+    `;
+    document.getElementById('add-to-calendar-btn').addEventListener('click', () => downloadBookingEvent(booking));
+    showModalView('booking-confirmation');
+    confirmation.focus();
+  }
+
+  /**
+   * Download the appointment as an .ics file for the customer's calendar
+   */
+  function downloadBookingEvent(booking) {
+    if (!window.SallyICal) return;
+
+    const event = window.SallyICal.bookingEvent(booking, {
+      audience: 'customer',
+      businessName: STATE.settings.businessName,
+      location: STATE.settings.location || CONFIG.DEFAULT_LOCATION,
+      manageLink: booking.manageToken
+        ? new URL(getManageLink(booking.manageToken), window.location.href).href
+        : ''
+    });
+    const ics = window.SallyICal.buildCalendar([event]);
+    window.SallyICal.downloadCalendar(`sallybraids-${booking.date}.ics`, ics);
+  }
+
+  /**
+   * Put the modal back to the booking form
+   */
+  function resetPaymentStep() {
+    STATE.payment = null;
+
+    const form = document.getElementById('booking-form');
+    if (form) {
+      const submitBtn = form.querySelector('button[type="submit"]');
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Reserve & Pay Deposit';
+    }
 
-    form.reset();
+    showModalView('booking-form');
+    const container = document.getElementById('payment-element');
+    if (container) container.innerHTML = '';
+    setPaymentMessage('');
+  }
+
+  /**
+   * Finish a payment after Stripe redirects back (e.g. after 3-D Secure)
+   */
+  async function handlePaymentReturn() {
+    const params = new URLSearchParams(window.location.search);
+    const clientSecret = params.get('payment_intent_client_secret');
+    const bookingId = params.get('booking');
+    if (!clientSecret || !bookingId) return;
+
+    // Don't re-run the confirmation on refresh
+    window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+
+    const pending = JSON.parse(sessionStorage.getItem('sb_pending_payment') || 'null');
+    const booking = pending && pending.bookingId === bookingId
+      ? { ...pending, clientSecret }
+      : null;
+    if (!booking || !CONFIG.STRIPE_KEY) {
+      showToast('We couldn\'t confirm your payment here. Please check your email or contact us.', 'error', 'Payment');
+      return;
+    }
+
+    openBookingModal();
+    try {
+      const stripe = await loadStripe();
+      const { paymentIntent } = await stripe.retrievePaymentIntent(clientSecret);
+      if (paymentIntent && (paymentIntent.status === 'succeeded' || paymentIntent.status === 'processing')) {
+        showBookingConfirmation(booking, paymentIntent.status);
+      } else {
+        showPaymentStep(booking, 'Your payment was not completed. Please try again.');
+      }
+    } catch (error) {
+      console.error('Failed to check payment status:', error);
+      showPaymentStep(booking, 'We couldn\'t check your payment. Please try again.');
+    }
   }
 
   // ============================================
@@ -1134,15 +2906,53 @@ function initNavigation() {
       // Service selection
       const serviceSelect = document.getElementById('booking-service');
       if (serviceSelect) {
-        // Populate service options
-        const options = STATE.catalog.map(service => 
-          `<option value="${service.id}">${escapeHtml(service.title)} - ${formatCurrency(service.price)}</option>`
-        ).join('');
-        serviceSelect.innerHTML = '<option value="">Choose a service...</option>' + options;
-        
         serviceSelect.addEventListener('change', updateServiceDetails);
       }
 
+      // Variant selection
+      const variantSelect = document.getElementById('booking-variant');
+      if (variantSelect) {
+        variantSelect.addEventListener('change', updateSelectedVariant);
+      }
+
+      // Add-on selection
+      const addOnsList = document.getElementById('addons-list');
+      if (addOnsList) {
+        addOnsList.addEventListener('change', updateSelectedAddOns);
+      }
+
+      // Materials answers (cost of hair bought from the salon)
+      const materialsList = document.getElementById('materials-list');
+      if (materialsList) {
+        materialsList.addEventListener('change', updateMaterialsCostNote);
+      }
+
+      // Stylist selection
+      const stylistSelect = document.getElementById('booking-stylist');
+      if (stylistSelect) {
+        stylistSelect.addEventListener('change', (e) => {
+          STATE.selectedStylist = e.target.value;
+          loadMonthAvailability();
+          if (STATE.selectedDate) {
+            selectDate(STATE.selectedDate);
+          }
+        });
+      }
+
+      // Waitlist for fully booked days
+      const waitlistBtn = document.getElementById('waitlist-join-btn');
+      if (waitlistBtn) {
+        waitlistBtn.addEventListener('click', joinWaitlist);
+      }
+
+      // Time selection
+      const timeSelect = document.getElementById('booking-time');
+      if (timeSelect) {
+        timeSelect.addEventListener('change', (e) => {
+          STATE.selectedTime = e.target.value;
+        });
+      }
+
       // Real-time validation
       bookingForm.querySelectorAll('input, select, textarea').forEach(field => {
         field.addEventListener('blur', () => validateField(field));
@@ -1151,6 +2961,20 @@ function initNavigation() {
       bookingForm.addEventListener('submit', handleBookingSubmit);
     }
 
+    // Deposit payment form
+    const paymentForm = document.getElementById('payment-form');
+    if (paymentForm) {
+      paymentForm.addEventListener('submit', handlePaymentSubmit);
+    }
+
+    // Manage booking actions
+    const managePayBtn = document.getElementById('manage-pay-btn');
+    if (managePayBtn) {
+      managePayBtn.addEventListener('click', payManagedDeposit);
+      document.getElementById('manage-reschedule-btn').addEventListener('click', startReschedule);
+      document.getElementById('manage-cancel-btn').addEventListener('click', cancelManagedBooking);
+    }
+
     // Contact form
     const contactForm = document.getElementById('contact-form');
     if (contactForm) {
@@ -1162,6 +2986,68 @@ function initNavigation() {
     }
   }
 
+  /**
+   * Populate the booking modal's service dropdown
+   */
+  function populateServiceOptions() {
+    const serviceSelect = document.getElementById('booking-service');
+    if (!serviceSelect) return;
+
+    const current = serviceSelect.value;
+    const options = STATE.catalog.map(service => {
+      const variants = service.variants || [];
+      const price = variants.length > 0
+        ? `from ${formatCurrency(Math.min(...variants.map(v => v.price ?? service.price)))}`
+        : formatCurrency(service.price);
+      return `<option value="${service.id}">${escapeHtml(service.title)} - ${price}</option>`;
+    }).join('');
+    serviceSelect.innerHTML = '<option value="">Choose a service...</option>' + options;
+    serviceSelect.value = current;
+  }
+
+  /**
+   * Load stylists for the booking modal. With none set up the salon books as one chair.
+   */
+  async function loadStylists() {
+    try {
+      STATE.stylists = await apiRequest('/api/stylists') || [];
+    } catch (error) {
+      console.error('Failed to load stylists:', error);
+      STATE.stylists = [];
+    }
+
+    populateStylistOptions();
+  }
+
+  /**
+   * Populate the stylist dropdown with stylists who can do the selected service
+   */
+  function populateStylistOptions() {
+    const group = document.getElementById('stylist-group');
+    const select = document.getElementById('booking-stylist');
+    if (!group || !select) return;
+
+    if (STATE.stylists.length === 0) {
+      group.style.display = 'none';
+      STATE.selectedStylist = '';
+      return;
+    }
+
+    const serviceId = STATE.selectedService && STATE.selectedService.id;
+    const qualified = STATE.stylists.filter(stylist => !serviceId || window.SallyRules.canPerformService(stylist, serviceId));
+
+    select.innerHTML = '<option value="">Any available stylist</option>' + qualified.map(stylist =>
+      `<option value="${stylist.id}">${escapeHtml(stylist.name)}</option>`
+    ).join('');
+
+    // Drop a stylist who doesn't do the newly selected service
+    if (!qualified.some(stylist => stylist.id === STATE.selectedStylist)) {
+      STATE.selectedStylist = '';
+    }
+    select.value = STATE.selectedStylist;
+    group.style.display = 'block';
+  }
+
   /**
    * Initialize accordion
    */
@@ -1243,8 +3129,13 @@ function initAccordion() {
     // Check API connection
     checkApiConnection();
     
-    // Load services
-    loadServices();
+    // Load services and stylists (waitlist offer and manage links need the catalog)
+    loadServices().then(() => {
+      handleWaitlistOffer();
+      handleEnquiryLink();
+      handleManageLink();
+    });
+    loadStylists();
     
     // Initialize UI components
     initNavigation();
@@ -1255,6 +3146,9 @@ function initAccordion() {
     
     // Set current year
     setCurrentYear();
+
+    // Returning from a Stripe redirect
+    handlePaymentReturn();
     
     // Log initialization
     console.log('Sallybraids app initialized', {
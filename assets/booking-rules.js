@@ -0,0 +1,666 @@
+/**
+ * Sallybraids Booking Rules
+ * Rules that the client and admin mock APIs must apply the same way. A real
+ * backend applies them on the server; both pages load this file so the two
+ * mock APIs can't drift apart.
+ */
+
+(function() {
+  'use strict';
+
+  // Ordered to match Date.prototype.getDay()
+  const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Used when settings don't set a slot interval or opening hours
+  const SLOT_INTERVAL = 60;
+  const DEFAULT_HOURS = { open: '07:00', close: '19:00' };
+
+  // Deposits move to a new time (or become credit) with this much notice
+  const DEPOSIT_TRANSFER_HOURS = 48;
+
+  // Full prepayment thresholds when settings don't set them (0 = never)
+  const PREPAY_NO_SHOWS = 1;
+  const PREPAY_LATE_CANCELS = 2;
+
+  // A freed slot is offered to this many waitlisted customers at once, for this long
+  const WAITLIST_OFFER_COUNT = 3;
+  const WAITLIST_OFFER_HOURS = 2;
+
+  // Asked about for services whose notes say hair or beads aren't included
+  const DEFAULT_MATERIALS = {
+    hair: { id: 'hair', name: 'Braiding hair', packs: 6, colours: ['1', '1B', '2', '4', '27', '30', '350', '613'] },
+    beads: { id: 'beads', name: 'Beads', packs: 1, colours: ['Gold', 'Silver', 'Clear', 'Mixed'] }
+  };
+
+  // ============================================
+  // Services
+  // ============================================
+
+  /**
+   * Parse a service duration ("8h 30m", "4h-5h 30m") into minutes.
+   * Ranges use the upper bound so a slot is never booked too short.
+   */
+  function parseDuration(duration) {
+    if (typeof duration === 'number') return duration;
+    if (!duration) return 0;
+
+    const parts = String(duration).split('-');
+    const upper = parts[parts.length - 1];
+    const hours = upper.match(/(\d+)\s*h/i);
+    const minutes = upper.match(/(\d+)\s*m/i);
+
+    return (hours ? parseInt(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1]) : 0);
+  }
+
+  /**
+   * Apply a length/size variant to a service. Variant fields left blank inherit
+   * from the service; an unknown variant id falls back to the first variant.
+   */
+  function applyVariant(service, variantId) {
+    if (!service || !Array.isArray(service.variants) || service.variants.length === 0) {
+      return service;
+    }
+
+    const variant = service.variants.find(v => v.id === variantId) || service.variants[0];
+    return {
+      ...service,
+      price: variant.price ?? service.price,
+      duration: variant.duration || service.duration,
+      earliestStartTime: variant.earliestStartTime || service.earliestStartTime,
+      latestStartTime: variant.latestStartTime || service.latestStartTime,
+      img: variant.img || service.img,
+      variantId: variant.id,
+      variantLabel: variant.label
+    };
+  }
+
+  /**
+   * Look up a service's add-ons by id, ignoring ids the service doesn't offer
+   */
+  function getSelectedAddOns(service, addOnIds) {
+    if (!service || !Array.isArray(service.addOns)) return [];
+    return service.addOns.filter(addOn => addOnIds.includes(addOn.id));
+  }
+
+  /**
+   * Check a start time against the service's earliest/latest start times
+   */
+  function isWithinBookingWindow(service, time) {
+    if (!service) return true;
+    if (service.earliestStartTime && time < service.earliestStartTime) return false;
+    if (service.latestStartTime && time > service.latestStartTime) return false;
+    return true;
+  }
+
+  /**
+   * Parse a legacy "DO NOT BOOK AFTER 8AM" / "Do not book before 9:30 am" note
+   * into { field, time }. Returns null if the note isn't a cutoff.
+   */
+  function parseCutoffNote(note) {
+    if (typeof note !== 'string') return null;
+
+    const match = note.match(/do\s+not\s+book\s+(after|before)\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i);
+    if (!match) return null;
+
+    let hours = parseInt(match[2]);
+    const minutes = match[3] ? parseInt(match[3]) : 0;
+    const period = (match[4] || '').toUpperCase();
+
+    if (period === 'PM' && hours !== 12) hours += 12;
+    if (period === 'AM' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+
+    return {
+      field: match[1].toLowerCase() === 'after' ? 'latestStartTime' : 'earliestStartTime',
+      time: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`
+    };
+  }
+
+  /**
+   * Materials questions for a service saved before they existed, from
+   * "Hair NOT included" / "Beads NOT included" notes
+   */
+  function inferMaterials(notes) {
+    const materials = [];
+    if (notes.some(note => /hair\s+not\s+included/i.test(note))) {
+      materials.push({ ...DEFAULT_MATERIALS.hair, colours: [...DEFAULT_MATERIALS.hair.colours] });
+    }
+    if (notes.some(note => /beads\s+not\s+included/i.test(note))) {
+      materials.push({ ...DEFAULT_MATERIALS.beads, colours: [...DEFAULT_MATERIALS.beads.colours] });
+    }
+    return materials;
+  }
+
+  /**
+   * Move cutoff notes into structured latestStartTime/earliestStartTime fields
+   */
+  function migrateService(service) {
+    if (!Array.isArray(service.notes)) return service;
+
+    const migrated = { ...service };
+    migrated.notes = service.notes.filter(note => {
+      const cutoff = parseCutoffNote(note);
+      if (!cutoff) return true;
+      if (!migrated[cutoff.field]) migrated[cutoff.field] = cutoff.time;
+      return false;
+    });
+
+    if (migrated.materials === undefined) {
+      migrated.materials = inferMaterials(service.notes);
+    }
+
+    return migrated;
+  }
+
+  // ============================================
+  // Prepayment
+  // ============================================
+
+  /**
+   * Whether a customer must prepay in full. A staff override wins; otherwise
+   * the no-show and late-cancel thresholds from settings apply.
+   */
+  function requiresPrepayment(customer, settings) {
+    if (!customer) return false;
+    if (customer.prepayOverride === 'require') return true;
+    if (customer.prepayOverride === 'waive') return false;
+
+    const noShows = settings.prepayNoShows ?? PREPAY_NO_SHOWS;
+    const lateCancels = settings.prepayLateCancels ?? PREPAY_LATE_CANCELS;
+    return (noShows > 0 && customer.noShowCount >= noShows) ||
+      (lateCancels > 0 && customer.lateCancelCount >= lateCancels);
+  }
+
+  // ============================================
+  // Customers and Deposit Credit
+  // ============================================
+
+  // Functions that change records take the API's stored `records`
+  // ({ customers, ledger }), update the arrays in place and leave saving
+  // them to the caller.
+
+  function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Emails are compared trimmed and lowercased
+   */
+  function normalizeEmail(email) {
+    return (email || '').trim().toLowerCase();
+  }
+
+  /**
+   * Phone numbers are compared by their last 10 digits
+   */
+  function normalizePhone(phone) {
+    return (phone || '').replace(/\D/g, '').slice(-10);
+  }
+
+  /**
+   * Customers are matched by email first, then by phone number
+   */
+  function findCustomer(customers, contact) {
+    const email = normalizeEmail(contact.email);
+    const phone = normalizePhone(contact.phone);
+    return (email && customers.find(c => c.email === email)) ||
+      (phone && customers.find(c => normalizePhone(c.phone) === phone)) ||
+      null;
+  }
+
+  /**
+   * Find or add the customer record for a booking's contact details
+   */
+  function upsertCustomer(customers, contact) {
+    const now = new Date().toISOString();
+    let customer = findCustomer(customers, contact);
+    if (!customer) {
+      customer = {
+        id: `customer-${Date.now()}-${customers.length}`,
+        noShowCount: 0,
+        lateCancelCount: 0,
+        checkInCount: 0,
+        lateArrivalCount: 0,
+        minutesLateTotal: 0,
+        prepayOverride: null,
+        createdAt: now
+      };
+      customers.push(customer);
+    }
+    customer.name = contact.name || customer.name;
+    customer.email = normalizeEmail(contact.email) || customer.email || '';
+    customer.phone = contact.phone || customer.phone || '';
+    customer.updatedAt = now;
+    return customer;
+  }
+
+  /**
+   * Add to one of the customer's history counters (no-shows, late
+   * cancellations, check-ins, late arrivals, minutes late)
+   */
+  function recordCustomerIncident(records, booking, counter, amount = 1) {
+    const customer = upsertCustomer(records.customers, booking.customer);
+    customer[counter] = (customer[counter] || 0) + amount;
+    booking.customerId = customer.id;
+  }
+
+  /**
+   * A customer's ledger entries and credit balance. Credits add to the
+   * balance, debits spend it; forfeits are salon revenue. Entries follow the
+   * customer record, so credit isn't lost when they book with another email.
+   * Entries written before records were linked are matched by email.
+   */
+  function getCustomerLedger(ledger, customer) {
+    if (!customer) return { balance: 0, entries: [] };
+
+    const entries = ledger.filter(entry => (entry.customerId
+      ? entry.customerId === customer.id
+      : entry.customerEmail === customer.email));
+    const balance = entries.reduce((sum, entry) => {
+      if (entry.type === 'credit') return sum + entry.amount;
+      if (entry.type === 'debit') return sum - entry.amount;
+      return sum;
+    }, 0);
+    return { balance: roundCents(balance), entries };
+  }
+
+  /**
+   * Credit balance less what the customer's unconfirmed bookings are holding
+   */
+  function getAvailableCredit(records, bookings, customer) {
+    if (!customer) return 0;
+
+    const held = bookings
+      .filter(b => b.status === 'deposit_pending')
+      .filter(b => (b.customerId ? b.customerId === customer.id : findCustomer(records.customers, b.customer) === customer))
+      .reduce((sum, b) => sum + (b.creditApplied || 0), 0);
+    return roundCents(Math.max(0, getCustomerLedger(records.ledger, customer).balance - held));
+  }
+
+  /**
+   * Record a credit, debit or forfeit for the booking's customer
+   */
+  function addLedgerEntry(records, booking, type, amount, description) {
+    const customer = upsertCustomer(records.customers, booking.customer);
+    booking.customerId = customer.id;
+    records.ledger.push({
+      id: `ledger-${Date.now()}-${records.ledger.length}`,
+      customerId: customer.id,
+      customerEmail: customer.email,
+      customerName: customer.name,
+      type,
+      amount: roundCents(amount),
+      bookingId: booking.id,
+      description,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Spend the credit a booking was holding, once its deposit is confirmed
+   */
+  function spendHeldCredit(records, booking) {
+    if (booking.creditApplied > 0) {
+      addLedgerEntry(records, booking, 'debit', booking.creditApplied, `Applied to ${booking.serviceTitle} on ${booking.date}`);
+    }
+  }
+
+  /**
+   * Move a booking's paid deposit (card and credit) to the customer's credit,
+   * or record it as forfeited revenue. A pending booking has paid nothing;
+   * the credit it was holding is simply freed.
+   */
+  function settleDeposit(records, booking, outcome, reason) {
+    const paid = booking.status === 'deposit_paid' ? booking.depositAmount : 0;
+    if (!paid) return;
+
+    const label = `${booking.serviceTitle} on ${booking.date}`;
+    addLedgerEntry(records, booking, outcome, paid, outcome === 'credit'
+      ? `Deposit from ${label} (${reason})`
+      : `Deposit forfeited: ${label} (${reason})`);
+    booking.depositOutcome = outcome === 'credit' ? 'credit' : 'forfeited';
+  }
+
+  // ============================================
+  // Calendar Blocks
+  // ============================================
+
+  /**
+   * Whether a block applies on a date. Blocks with `repeat` are rules: every
+   * day (a date range) or every N weeks on some weekdays, from `date` until
+   * `repeat.until`, skipping `exceptions`.
+   */
+  function blockOccursOn(block, dateString) {
+    if (!block.repeat) return block.date === dateString;
+    if (dateString < block.date) return false;
+    if (block.repeat.until && dateString > block.repeat.until) return false;
+    if ((block.exceptions || []).includes(dateString)) return false;
+    if (block.repeat.frequency === 'daily') return true;
+
+    // Whole weeks between the Sundays starting each date's week
+    const toUtc = value => {
+      const [year, month, day] = value.split('-').map(Number);
+      return new Date(Date.UTC(year, month - 1, day));
+    };
+    const first = toUtc(block.date);
+    const date = toUtc(dateString);
+    const weekdays = (block.repeat.weekdays || []).length > 0 ? block.repeat.weekdays : [WEEKDAYS[first.getUTCDay()]];
+    if (!weekdays.includes(WEEKDAYS[date.getUTCDay()])) return false;
+
+    const weeks = Math.round(
+      ((date - date.getUTCDay() * DAY_MS) - (first - first.getUTCDay() * DAY_MS)) / (7 * DAY_MS)
+    );
+    return weeks % (block.repeat.interval || 1) === 0;
+  }
+
+  /**
+   * Blocks that apply on a date, with repeating rules expanded to that day
+   */
+  function getBlocksOn(blocks, dateString) {
+    return blocks
+      .filter(block => blockOccursOn(block, dateString))
+      .map(block => ({ ...block, date: dateString }));
+  }
+
+  // ============================================
+  // Availability
+  // ============================================
+
+  function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+
+  function minutesToTime(totalMinutes) {
+    return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Get opening hours for a date from the weekly schedule, or null when closed.
+   * Settings saved before the schedule existed fall back to hoursOpen/hoursClose.
+   */
+  function getDayHours(settings, dateString) {
+    const weekday = WEEKDAYS[new Date(`${dateString}T00:00:00`).getDay()];
+    const day = settings.schedule?.[weekday];
+
+    if (day) {
+      return day.closed ? null : { open: day.open, close: day.close };
+    }
+
+    return {
+      open: settings.hoursOpen || DEFAULT_HOURS.open,
+      close: settings.hoursClose || DEFAULT_HOURS.close
+    };
+  }
+
+  /**
+   * A block without a start/end time closes the whole day
+   */
+  function isFullDayBlock(block) {
+    return !(block.startTime && block.endTime);
+  }
+
+  /**
+   * A stylist with no service list can do every service
+   */
+  function canPerformService(stylist, serviceId) {
+    return !Array.isArray(stylist.serviceIds) || stylist.serviceIds.length === 0 ||
+      stylist.serviceIds.includes(serviceId);
+  }
+
+  /**
+   * Get the length of an existing booking in minutes
+   */
+  function getBookingDuration(booking, catalog) {
+    if (booking.durationMinutes) return booking.durationMinutes;
+
+    const service = catalog.find(s => s.id === booking.serviceId);
+    return (service && parseDuration(service.duration)) || SLOT_INTERVAL;
+  }
+
+  /**
+   * Generate time slots for a given date.
+   * A slot is available only if the whole service fits before closing
+   * without overlapping an existing appointment. With stylists set up, a slot
+   * is available if at least one matching stylist is free; their ids are
+   * listed in `stylistIds`. The variant sets the length and start-time window;
+   * selected add-ons lengthen the appointment. A booking being rescheduled
+   * (`excludeBookingId`) doesn't block its own new time.
+   *
+   * `data` is what the API has stored: the service catalog, settings,
+   * stylists, blocks and bookings.
+   */
+  function generateTimeSlots(dateString, { serviceId = null, variantId = null, stylistId = null, addOnIds = [], excludeBookingId = null } = {}, data = {}) {
+    const { catalog = [], settings = {}, blocks = [] } = data;
+    const slots = [];
+    const interval = settings.slotInterval || SLOT_INTERVAL;
+
+    const service = applyVariant(catalog.find(s => s.id === serviceId), variantId);
+    const addOnMinutes = getSelectedAddOns(service, addOnIds).reduce((sum, addOn) => sum + addOn.minutes, 0);
+    const duration = ((service && parseDuration(service.duration)) || interval) + addOnMinutes;
+
+    const hours = getDayHours(settings, dateString);
+    if (!hours) {
+      return { date: dateString, serviceId, stylistId, duration, slots };
+    }
+
+    const openMinutes = timeToMinutes(hours.open);
+    const closeMinutes = timeToMinutes(hours.close);
+
+    // Salon-wide blocks apply to every chair
+    const dateBlocks = getBlocksOn(blocks, dateString);
+    const salonBlocks = dateBlocks.filter(block => !block.stylistId);
+    if (salonBlocks.some(isFullDayBlock)) {
+      return { date: dateString, serviceId, stylistId, duration, slots };
+    }
+
+    const bookings = (data.bookings || [])
+      .filter(b => b.date === dateString && b.status !== 'cancelled' && b.id !== excludeBookingId);
+    const stylists = (data.stylists || []).filter(stylist => stylist.active !== false);
+
+    const resources = getSlotResources({
+      dateString, service, stylistId, hours, bookings, salonBlocks, dateBlocks, stylists, catalog
+    });
+
+    for (let start = openMinutes; start < closeMinutes; start += interval) {
+      const end = start + duration;
+      const time = minutesToTime(start);
+
+      const free = resources.filter(resource =>
+        start >= resource.open &&
+        end <= resource.close &&
+        !resource.busy.some(range => start < range.end && end > range.start)
+      );
+
+      const slot = {
+        time,
+        available: free.length > 0 && isWithinBookingWindow(service, time)
+      };
+      if (stylists.length > 0) {
+        slot.stylistIds = slot.available ? free.map(resource => resource.stylistId) : [];
+      }
+
+      slots.push(slot);
+    }
+
+    return { date: dateString, serviceId, stylistId, duration, slots };
+  }
+
+  /**
+   * Working hours and busy [start, end) minute ranges for each chair that could
+   * take the booking. Without stylists the salon is a single chair.
+   */
+  function getSlotResources({ dateString, service, stylistId, hours, bookings, salonBlocks, dateBlocks, stylists, catalog }) {
+    const toRange = (startTime, minutes) => {
+      const start = timeToMinutes(startTime);
+      return { start, end: start + minutes };
+    };
+    const blockRanges = blocks => blocks
+      .filter(block => !isFullDayBlock(block))
+      .map(block => ({ start: timeToMinutes(block.startTime), end: timeToMinutes(block.endTime) }));
+
+    if (stylists.length === 0) {
+      return [{
+        stylistId: null,
+        open: timeToMinutes(hours.open),
+        close: timeToMinutes(hours.close),
+        busy: [
+          ...bookings.map(b => toRange(b.time, getBookingDuration(b, catalog))),
+          ...blockRanges(salonBlocks)
+        ]
+      }];
+    }
+
+    return stylists
+      .filter(stylist => !stylistId || stylist.id === stylistId)
+      .filter(stylist => !service || canPerformService(stylist, service.id))
+      .map(stylist => {
+        // A stylist's own hours can only narrow the salon's hours
+        const own = stylist.schedule ? getDayHours({ schedule: stylist.schedule }, dateString) : hours;
+        const ownBlocks = dateBlocks.filter(block => block.stylistId === stylist.id);
+        if (!own || ownBlocks.some(isFullDayBlock)) return null;
+
+        return {
+          stylistId: stylist.id,
+          open: Math.max(timeToMinutes(own.open), timeToMinutes(hours.open)),
+          close: Math.min(timeToMinutes(own.close), timeToMinutes(hours.close)),
+          busy: [
+            // Bookings with no stylist yet could land on any chair, so they block everyone
+            ...bookings
+              .filter(b => !b.stylistId || b.stylistId === stylist.id)
+              .map(b => toRange(b.time, getBookingDuration(b, catalog))),
+            ...blockRanges(salonBlocks),
+            ...blockRanges(ownBlocks)
+          ]
+        };
+      })
+      .filter(Boolean);
+  }
+
+  // ============================================
+  // Waitlist
+  // ============================================
+
+  /**
+   * Customers still waiting for a day, first come first served.
+   * A stylist's freed chair only goes to people who didn't ask for someone else.
+   * With the API's stored `data` (see generateTimeSlots), customers whose
+   * service no longer fits anywhere that day are skipped.
+   */
+  function getWaitlistQueue(waitlist, date, stylistId = null, data = null) {
+    return waitlist
+      .filter(e => e.date === date && e.status === 'waiting')
+      .filter(e => !stylistId || !e.stylistId || e.stylistId === stylistId)
+      .filter(e => !data || hasSlotFor(e, data))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Whether a waitlisted customer's service (and variant) fits an open time on their day
+   */
+  function hasSlotFor(entry, data) {
+    const { slots } = generateTimeSlots(entry.date, {
+      serviceId: entry.serviceId,
+      variantId: entry.variantId || null,
+      stylistId: entry.stylistId || null
+    }, data);
+    return slots.some(slot => slot.available);
+  }
+
+  /**
+   * Whether an entry's offer can still be claimed
+   */
+  function isOfferOpen(entry, now = new Date()) {
+    return Boolean(entry) && entry.status === 'offered' && new Date(entry.offer.expiresAt) > now;
+  }
+
+  /**
+   * Give a waitlisted customer a time-limited claim link and send it to them
+   */
+  function createWaitlistOffer(entry) {
+    const expiresAt = new Date(Date.now() + WAITLIST_OFFER_HOURS * 60 * 60 * 1000);
+    entry.status = 'offered';
+    entry.offer = {
+      token: `wl_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`,
+      offeredAt: new Date().toISOString(),
+      expiresAt: expiresAt.toISOString()
+    };
+    if (window.SallyNotifications) window.SallyNotifications.notify('waitlist_offer', entry);
+    return entry;
+  }
+
+  /**
+   * Offer a freed slot to the next customers waitlisted for that day whose
+   * service fits it. Updates the entries in place and returns the ones offered.
+   */
+  function offerWaitlistSlot(waitlist, date, stylistId = null, data = null) {
+    return getWaitlistQueue(waitlist, date, stylistId, data)
+      .slice(0, WAITLIST_OFFER_COUNT)
+      .map(createWaitlistOffer);
+  }
+
+  /**
+   * YYYY-MM-DD in the salon's local time, as waitlist and booking dates are stored
+   */
+  function formatLocalDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * Lapse unclaimed offers and pass each one on to the next person waiting
+   */
+  function expireWaitlistOffers(waitlist, data = null) {
+    const now = new Date();
+    const today = formatLocalDate(now);
+
+    waitlist.forEach(entry => {
+      if (entry.status === 'waiting' && entry.date < today) {
+        entry.status = 'expired';
+      }
+      if (entry.status !== 'offered' || isOfferOpen(entry, now)) return;
+
+      entry.status = 'expired';
+      if (entry.date >= today) {
+        const next = getWaitlistQueue(waitlist, entry.date, entry.stylistId, data)[0];
+        if (next) createWaitlistOffer(next);
+      }
+    });
+  }
+
+  window.SallyRules = {
+    WEEKDAYS,
+    SLOT_INTERVAL,
+    DEPOSIT_TRANSFER_HOURS,
+    PREPAY_NO_SHOWS,
+    PREPAY_LATE_CANCELS,
+    WAITLIST_OFFER_COUNT,
+    WAITLIST_OFFER_HOURS,
+    DEFAULT_MATERIALS,
+    migrateService,
+    parseDuration,
+    applyVariant,
+    getSelectedAddOns,
+    isWithinBookingWindow,
+    requiresPrepayment,
+    findCustomer,
+    upsertCustomer,
+    recordCustomerIncident,
+    getCustomerLedger,
+    getAvailableCredit,
+    addLedgerEntry,
+    spendHeldCredit,
+    settleDeposit,
+    blockOccursOn,
+    getBlocksOn,
+    getDayHours,
+    isFullDayBlock,
+    canPerformService,
+    generateTimeSlots,
+    isOfferOpen,
+    createWaitlistOffer,
+    offerWaitlistSlot,
+    expireWaitlistOffers
+  };
+})();
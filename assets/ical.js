@@ -0,0 +1,544 @@
+/**
+ * Sallybraids iCalendar
+ * Builds .ics files (RFC 5545) for the customer "Add to Calendar" download
+ * and the owner's subscribable bookings feed, and reads uploaded .ics files
+ * for the admin calendar import.
+ */
+
+(function() {
+  'use strict';
+
+  const PRODUCT_ID = '-//Sallybraids//Booking//EN';
+  const UID_DOMAIN = 'sallybraids.ca';
+
+  // Bookings saved before durations were stored
+  const DEFAULT_DURATION_MINUTES = 60;
+
+  // ============================================
+  // Export
+  // ============================================
+
+  /**
+   * Escape TEXT values (RFC 5545 3.3.11)
+   */
+  function escapeText(value) {
+    return String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold lines longer than 75 characters with a leading space
+   */
+  function foldLine(line) {
+    const parts = [];
+    let rest = line;
+    while (rest.length > 75) {
+      parts.push(rest.slice(0, 75));
+      rest = ' ' + rest.slice(75);
+    }
+    parts.push(rest);
+    return parts.join('\r\n');
+  }
+
+  function pad(number) {
+    return String(number).padStart(2, '0');
+  }
+
+  /**
+   * UTC timestamp, e.g. 20251115T140000Z
+   */
+  function formatUtc(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+      `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+  }
+
+  /**
+   * DATE value for all-day events, e.g. 20251225
+   */
+  function formatDateValue(dateString) {
+    return dateString.replace(/-/g, '');
+  }
+
+  function nextDay(dateString) {
+    const date = new Date(`${dateString}T00:00:00`);
+    date.setDate(date.getDate() + 1);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * One VEVENT. `start`/`end` are Dates, or date strings with `allDay`.
+   */
+  function buildEvent(event) {
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatUtc(new Date())}`
+    ];
+
+    if (event.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDateValue(event.start)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDateValue(event.end)}`);
+    } else {
+      lines.push(`DTSTART:${formatUtc(event.start)}`);
+      lines.push(`DTEND:${formatUtc(event.end)}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    lines.push('END:VEVENT');
+
+    return lines;
+  }
+
+  /**
+   * Wrap events in a VCALENDAR with CRLF line endings
+   */
+  function buildCalendar(events, { name } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+    events.forEach(event => lines.push(...buildEvent(event)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Event for a booking. `options.audience` is 'customer' (their own copy)
+   * or 'owner' (feed entry with contact details).
+   */
+  function bookingEvent(booking, options = {}) {
+    const start = new Date(`${booking.date}T${booking.time}:00`);
+    const end = new Date(start.getTime() + (booking.durationMinutes || DEFAULT_DURATION_MINUTES) * 60 * 1000);
+    const service = booking.variantLabel ? `${booking.serviceTitle} (${booking.variantLabel})` : booking.serviceTitle;
+    const isOwner = options.audience === 'owner';
+
+    const description = isOwner
+      ? [
+        `Phone: ${booking.customer.phone}`,
+        `Email: ${booking.customer.email}`,
+        booking.stylistName ? `Stylist: ${booking.stylistName}` : '',
+        (booking.addOns || []).length > 0 ? `Add-ons: ${booking.addOns.map(addOn => addOn.name).join(', ')}` : '',
+        booking.notes ? `Notes: ${booking.notes}` : ''
+      ]
+      : [
+        `Reference: ${booking.bookingId || booking.id}`,
+        options.manageLink ? `Manage or reschedule: ${options.manageLink}` : ''
+      ];
+
+    return {
+      uid: `${booking.bookingId || booking.id}@${UID_DOMAIN}`,
+      start,
+      end,
+      summary: isOwner ? `${booking.customer.name}: ${service}` : `${service} at ${options.businessName || 'Sallybraids'}`,
+      location: options.location || '',
+      description: description.filter(Boolean).join('\n'),
+      url: options.manageLink || '',
+      status: 'CONFIRMED'
+    };
+  }
+
+  /**
+   * Event for a calendar block; whole-day blocks become all-day events
+   */
+  function blockEvent(block, options = {}) {
+    const label = { blackout: 'Closed', lunch: 'Lunch', personal: 'Personal time' }[block.type] || 'Blocked';
+    const who = options.stylistName ? ` (${options.stylistName})` : '';
+    const event = {
+      uid: `${block.id}@${UID_DOMAIN}`,
+      summary: `${label}${who}`,
+      description: block.notes || ''
+    };
+
+    if (block.startTime && block.endTime) {
+      event.start = new Date(`${block.date}T${block.startTime}:00`);
+      event.end = new Date(`${block.date}T${block.endTime}:00`);
+    } else {
+      event.allDay = true;
+      event.start = block.date;
+      event.end = nextDay(block.date);
+    }
+    return event;
+  }
+
+  // ============================================
+  // Parsing
+  // ============================================
+
+  // Stop expanding a recurrence after this many periods inside the import
+  // window (guards bad RRULEs). Periods before the window don't count.
+  const MAX_RECURRENCE_STEPS = 5000;
+
+  const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+  function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+
+  /**
+   * Split a content line into { name, params, value }. Parameter values may be
+   * quoted and contain ':' or ';'.
+   */
+  function parseContentLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) {
+        colon = i;
+        break;
+      }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+      const [key, ...rest] = part.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+  }
+
+  /**
+   * DATE or DATE-TIME value as { date, allDay }. UTC ("Z") times are converted
+   * to local time; floating and TZID times are read as local wall-clock time.
+   */
+  function parseDateValue(value, params = {}) {
+    const dateOnly = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (dateOnly || params.VALUE === 'DATE') {
+      const [, year, month, day] = dateOnly || value.match(/^(\d{4})(\d{2})(\d{2})/);
+      return { date: new Date(year, month - 1, day), allDay: true };
+    }
+
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    const date = utc
+      ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+      : new Date(year, month - 1, day, hours, minutes, seconds);
+    return { date, allDay: false };
+  }
+
+  /**
+   * DURATION value (e.g. PT1H30M, P1D, P2W) in milliseconds
+   */
+  function parseDuration(value) {
+    const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return 0;
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+    const total = ((+weeks * 7 + +days) * 24 * 60 * 60 + +hours * 60 * 60 + +minutes * 60 + +seconds) * 1000;
+    return sign === '-' ? -total : total;
+  }
+
+  function parseRecurrenceRule(value) {
+    const rule = {};
+    value.split(';').forEach(part => {
+      const [key, ruleValue] = part.split('=');
+      if (key && ruleValue) rule[key.toUpperCase()] = ruleValue;
+    });
+
+    return {
+      freq: rule.FREQ,
+      interval: Math.max(1, parseInt(rule.INTERVAL) || 1),
+      count: rule.COUNT ? parseInt(rule.COUNT) : null,
+      until: rule.UNTIL ? parseDateValue(rule.UNTIL) : null,
+      byDay: rule.BYDAY
+        ? rule.BYDAY.split(',').map(day => {
+          const match = day.match(/^([+-]?\d+)?([A-Z]{2})$/);
+          return match ? { ordinal: match[1] ? parseInt(match[1]) : null, weekday: RRULE_WEEKDAYS.indexOf(match[2]) } : null;
+        }).filter(day => day && day.weekday !== -1)
+        : [],
+      byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : []
+    };
+  }
+
+  /**
+   * Days of a month matching BYDAY entries such as MO, 2TU or -1FR
+   */
+  function monthDaysForWeekdays(year, month, byDay) {
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const days = [];
+
+    byDay.forEach(({ ordinal, weekday }) => {
+      const matches = [];
+      for (let day = 1; day <= daysInMonth; day++) {
+        if (new Date(year, month, day).getDay() === weekday) matches.push(day);
+      }
+      if (ordinal === null) {
+        days.push(...matches);
+      } else {
+        const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        if (day) days.push(day);
+      }
+    });
+
+    return days.sort((a, b) => a - b);
+  }
+
+  /**
+   * Candidate start dates for one period of the rule (a day, week, month or year),
+   * keeping the wall-clock time of `start`
+   */
+  function periodStarts(rule, start, step) {
+    const atDay = (year, month, day) => {
+      const date = new Date(year, month, day, start.getHours(), start.getMinutes(), start.getSeconds());
+      // Skip dates that roll over, e.g. the 31st in a 30-day month
+      return date.getMonth() === month ? date : null;
+    };
+
+    if (rule.freq === 'DAILY') {
+      return [new Date(start.getFullYear(), start.getMonth(), start.getDate() + step * rule.interval,
+        start.getHours(), start.getMinutes(), start.getSeconds())];
+    }
+
+    if (rule.freq === 'WEEKLY') {
+      // Weeks start on Monday (the RFC 5545 default WKST)
+      const mondayOffset = (start.getDay() + 6) % 7;
+      const weekStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() - mondayOffset + step * rule.interval * 7);
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [start.getDay()];
+      return weekdays
+        .map(weekday => (weekday + 6) % 7)
+        .sort((a, b) => a - b)
+        .map(offset => new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + offset,
+          start.getHours(), start.getMinutes(), start.getSeconds()));
+    }
+
+    if (rule.freq === 'MONTHLY') {
+      const month = new Date(start.getFullYear(), start.getMonth() + step * rule.interval, 1);
+      const year = month.getFullYear();
+      const monthIndex = month.getMonth();
+      let days;
+      if (rule.byMonthDay.length > 0) {
+        const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+        days = rule.byMonthDay.map(day => (day < 0 ? daysInMonth + day + 1 : day)).sort((a, b) => a - b);
+      } else if (rule.byDay.length > 0) {
+        days = monthDaysForWeekdays(year, monthIndex, rule.byDay);
+      } else {
+        days = [start.getDate()];
+      }
+      return days.map(day => atDay(year, monthIndex, day));
+    }
+
+    if (rule.freq === 'YEARLY') {
+      return [atDay(start.getFullYear() + step * rule.interval, start.getMonth(), start.getDate())];
+    }
+
+    return [];
+  }
+
+  /**
+   * A step of the rule at or before the period that contains `from`. Earlier
+   * periods end before `from`, so they can be skipped.
+   */
+  function stepBefore(rule, start, from) {
+    if (from <= start) return 0;
+
+    const days = Math.floor((Date.UTC(from.getFullYear(), from.getMonth(), from.getDate()) -
+      Date.UTC(start.getFullYear(), start.getMonth(), start.getDate())) / 86400000);
+    const months = (from.getFullYear() - start.getFullYear()) * 12 + from.getMonth() - start.getMonth();
+    const periods = { DAILY: days, WEEKLY: Math.floor(days / 7), MONTHLY: months, YEARLY: Math.floor(months / 12) }[rule.freq];
+    return Math.max(0, Math.floor(periods / rule.interval) - 1);
+  }
+
+  /**
+   * Start dates of a recurring event from around `from` up to `to`. Periods
+   * before `from` are skipped, except that COUNT is counted from DTSTART, so
+   * with COUNT they're walked to use it up. Sub-daily frequencies aren't
+   * expanded; only the first occurrence is kept.
+   */
+  function expandRecurrence(rule, start, from, to) {
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq)) return [start];
+
+    const until = rule.until ? rule.until.date : null;
+    const untilTime = until && rule.until.allDay
+      ? new Date(until.getFullYear(), until.getMonth(), until.getDate() + 1).getTime() - 1
+      : until && until.getTime();
+    const windowStep = stepBefore(rule, start, from);
+    const starts = [];
+
+    for (let step = rule.count ? 0 : windowStep; step < windowStep + MAX_RECURRENCE_STEPS; step++) {
+      const candidates = periodStarts(rule, start, step).filter(date => date && date >= start);
+      for (const date of candidates) {
+        if ((untilTime && date.getTime() > untilTime) || date >= to) return starts;
+        starts.push(date);
+        if (rule.count && starts.length >= rule.count) return starts;
+      }
+    }
+    return starts;
+  }
+
+  /**
+   * VEVENTs in an .ics file as { uid, summary, start, end, allDay, ... }.
+   * Nested components (VALARM) and VTIMEZONE definitions are ignored.
+   */
+  function readEvents(text) {
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let event = null;
+    let nested = 0;
+
+    lines.forEach(line => {
+      const property = parseContentLine(line);
+      if (!property) return;
+      const value = property.value.toUpperCase();
+
+      if (property.name === 'BEGIN') {
+        if (value === 'VEVENT') {
+          event = { exdates: [] };
+        } else if (event) {
+          nested++;
+        }
+        return;
+      }
+      if (property.name === 'END') {
+        if (value === 'VEVENT' && event) {
+          events.push(event);
+          event = null;
+        } else if (event) {
+          nested--;
+        }
+        return;
+      }
+      if (!event || nested > 0) return;
+
+      switch (property.name) {
+        case 'UID':
+          event.uid = property.value;
+          break;
+        case 'SUMMARY':
+          event.summary = unescapeText(property.value);
+          break;
+        case 'DTSTART':
+          event.dtstart = parseDateValue(property.value, property.params);
+          break;
+        case 'DTEND':
+          event.dtend = parseDateValue(property.value, property.params);
+          break;
+        case 'DURATION':
+          event.duration = parseDuration(property.value);
+          break;
+        case 'RRULE':
+          event.rrule = parseRecurrenceRule(property.value);
+          break;
+        case 'EXDATE':
+          property.value.split(',').forEach(date => {
+            const parsed = parseDateValue(date, property.params);
+            if (parsed) event.exdates.push(parsed.date.getTime());
+          });
+          break;
+        case 'RECURRENCE-ID': {
+          const parsed = parseDateValue(property.value, property.params);
+          if (parsed) event.recurrenceId = parsed.date.getTime();
+          break;
+        }
+        case 'STATUS':
+          event.status = value;
+          break;
+        case 'TRANSP':
+          event.transparent = value === 'TRANSPARENT';
+          break;
+      }
+    });
+
+    return events.filter(e => e.dtstart);
+  }
+
+  /**
+   * Occurrences of the events in an .ics file that overlap [from, to), with
+   * recurring events expanded. Cancelled events and events marked "free"
+   * (TRANSP:TRANSPARENT) are left out. Sorted by start.
+   */
+  function parseCalendar(text, { from, to }) {
+    const events = readEvents(text);
+    const occurrences = [];
+
+    // Edited occurrences (RECURRENCE-ID) replace the matching instance of their series
+    const overridden = new Set(events
+      .filter(event => event.recurrenceId !== undefined)
+      .map(event => `${event.uid}|${event.recurrenceId}`));
+
+    events.forEach(event => {
+      if (event.status === 'CANCELLED' || event.transparent) return;
+
+      const start = event.dtstart.date;
+      const allDay = event.dtstart.allDay;
+      let length;
+      if (event.dtend) {
+        length = event.dtend.date - start;
+      } else if (event.duration) {
+        length = event.duration;
+      } else {
+        length = allDay ? 24 * 60 * 60 * 1000 : 0;
+      }
+      if (length <= 0) return;
+
+      const starts = event.rrule && event.recurrenceId === undefined
+        ? expandRecurrence(event.rrule, start, new Date(from.getTime() - length), to)
+        : [start];
+
+      starts.forEach(occurrenceStart => {
+        const time = occurrenceStart.getTime();
+        if (event.exdates.includes(time)) return;
+        if (event.rrule && overridden.has(`${event.uid}|${time}`)) return;
+
+        const occurrenceEnd = allDay
+          ? new Date(occurrenceStart.getFullYear(), occurrenceStart.getMonth(), occurrenceStart.getDate() + Math.round(length / 86400000))
+          : new Date(time + length);
+        if (occurrenceEnd <= from || occurrenceStart >= to) return;
+
+        occurrences.push({
+          uid: event.uid || '',
+          summary: event.summary || '',
+          start: occurrenceStart,
+          end: occurrenceEnd,
+          allDay
+        });
+      });
+    });
+
+    return occurrences.sort((a, b) => a.start - b.start);
+  }
+
+  // ============================================
+  // Download
+  // ============================================
+
+  /**
+   * Save an .ics string as a file
+   */
+  function downloadCalendar(filename, ics) {
+    const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  window.SallyICal = {
+    buildCalendar,
+    bookingEvent,
+    blockEvent,
+    downloadCalendar,
+    parseCalendar
+  };
+})();
@@ -0,0 +1,413 @@
+/**
+ * Sallybraids Notifications
+ * Transactional email/SMS templates and transports, used by the client and
+ * admin mock APIs. A real backend sends the same events from its own triggers.
+ */
+
+(function() {
+  'use strict';
+
+  // ============================================
+  // Configuration
+  // ============================================
+
+  const STORAGE_KEYS = {
+    TEMPLATES: 'sb_notification_templates',
+    OUTBOX: 'sb_outbox',
+    SETTINGS: 'sb_settings'
+  };
+
+  // Used until settings are saved (matches getDefaultSettings in admin.js)
+  const DEFAULT_BUSINESS = {
+    businessName: 'Sallybraids',
+    email: 'obaapasally@yahoo.com',
+    phone: '+1 (514) 969-7169'
+  };
+
+  const REMINDER_HOURS = 24;
+
+  // Oldest messages are dropped past this many
+  const OUTBOX_LIMIT = 500;
+
+  const PLACEHOLDERS = [
+    'customerName', 'customerEmail', 'customerPhone', 'serviceTitle', 'dateTime',
+    'previousDateTime', 'stylistName', 'amountDue', 'depositAmount', 'depositNote',
+    'notes', 'cancelReason', 'manageLink', 'offerLink', 'offerExpires', 'businessName'
+  ];
+
+  /**
+   * Default templates by event. An empty smsBody makes the event email-only.
+   */
+  const DEFAULT_TEMPLATES = {
+    booking_received: {
+      label: 'Booking received',
+      audience: 'customer',
+      subject: 'We received your booking for {{serviceTitle}}',
+      emailBody: 'Hi {{customerName}},\n\nThanks for booking {{serviceTitle}} on {{dateTime}}. Your time is confirmed once the {{depositAmount}} deposit is paid.\n\nView, pay, reschedule or cancel your booking here:\n{{manageLink}}\n\n{{businessName}}',
+      smsBody: '{{businessName}}: we received your booking for {{serviceTitle}} on {{dateTime}}. Manage it here: {{manageLink}}'
+    },
+    owner_new_booking: {
+      label: 'New booking (to the salon)',
+      audience: 'owner',
+      subject: 'New booking: {{customerName}}, {{dateTime}}',
+      emailBody: '{{customerName}} booked {{serviceTitle}} on {{dateTime}} with {{stylistName}}.\n\nPhone: {{customerPhone}}\nEmail: {{customerEmail}}\nTotal: {{amountDue}} (deposit {{depositAmount}})\nNotes: {{notes}}',
+      smsBody: 'New booking: {{customerName}}, {{serviceTitle}} on {{dateTime}}.'
+    },
+    deposit_confirmed: {
+      label: 'Deposit confirmed',
+      audience: 'customer',
+      subject: 'Your {{serviceTitle}} appointment is confirmed',
+      emailBody: 'Hi {{customerName}},\n\nWe received your {{depositAmount}} deposit. See you on {{dateTime}}!\n\nThe remaining balance is due at your appointment. Need to make a change? {{manageLink}}\n\n{{businessName}}',
+      smsBody: '{{businessName}}: deposit received. You\'re confirmed for {{serviceTitle}} on {{dateTime}}.'
+    },
+    reminder_24h: {
+      label: '24-hour reminder',
+      audience: 'customer',
+      subject: 'Reminder: {{serviceTitle}} tomorrow',
+      emailBody: 'Hi {{customerName}},\n\nThis is a reminder of your {{serviceTitle}} appointment on {{dateTime}}. Please come with your hair washed, detangled and blow-dried, and arrive on time. Arriving 15 minutes late or more may shorten your service or mean rescheduling.\n\n{{businessName}}',
+      smsBody: '{{businessName}} reminder: {{serviceTitle}} on {{dateTime}}. Please arrive on time.'
+    },
+    rescheduled: {
+      label: 'Rescheduled',
+      audience: 'customer',
+      subject: 'Your appointment has moved to {{dateTime}}',
+      emailBody: 'Hi {{customerName}},\n\nYour {{serviceTitle}} appointment has moved from {{previousDateTime}} to {{dateTime}}. Your deposit carries over.\n\n{{manageLink}}\n\n{{businessName}}',
+      smsBody: '{{businessName}}: your {{serviceTitle}} appointment is now {{dateTime}}.'
+    },
+    cancelled: {
+      label: 'Cancellation',
+      audience: 'customer',
+      subject: 'Your {{serviceTitle}} appointment was cancelled',
+      emailBody: 'Hi {{customerName}},\n\nYour {{serviceTitle}} appointment on {{dateTime}} has been cancelled. {{depositNote}}\n\n{{businessName}}',
+      smsBody: '{{businessName}}: your {{serviceTitle}} appointment on {{dateTime}} was cancelled.'
+    },
+    no_show: {
+      label: 'No-show',
+      audience: 'customer',
+      subject: 'We missed you today',
+      emailBody: 'Hi {{customerName}},\n\nWe missed you at your {{serviceTitle}} appointment on {{dateTime}}. Under our no-show policy the deposit is forfeited, and future bookings may require full payment upfront.\n\n{{businessName}}',
+      smsBody: ''
+    },
+    waitlist_offer: {
+      label: 'Waitlist offer',
+      audience: 'customer',
+      subject: 'A spot opened up on {{dateTime}}',
+      emailBody: 'Hi {{customerName}},\n\nA spot opened up for {{serviceTitle}} on {{dateTime}}. We\'ve offered it to a few people on the waitlist, and the first to book gets it.\n\nBook it here before {{offerExpires}}:\n{{offerLink}}\n\n{{businessName}}',
+      smsBody: '{{businessName}}: a spot opened up for {{serviceTitle}} on {{dateTime}}. Book it before {{offerExpires}}: {{offerLink}}'
+    }
+  };
+
+  // ============================================
+  // Transports
+  // ============================================
+
+  /**
+   * A transport receives one outbox message and resolves once it's sent.
+   * The outbox transport keeps messages in the browser for the admin log.
+   */
+  const transports = {
+    outbox: () => Promise.resolve()
+  };
+  let activeTransport = 'outbox';
+
+  function registerTransport(name, send) {
+    transports[name] = send;
+  }
+
+  function useTransport(name) {
+    if (!transports[name]) {
+      throw new Error(`Unknown notification transport: ${name}`);
+    }
+    activeTransport = name;
+  }
+
+  // Optional relay (e.g. a serverless function in front of an email/SMS provider)
+  if (window.__ENV__?.NOTIFICATION_WEBHOOK_URL) {
+    registerTransport('webhook', message => fetch(window.__ENV__.NOTIFICATION_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    }).then(response => {
+      if (!response.ok) throw new Error(`Webhook responded ${response.status}`);
+    }));
+    activeTransport = 'webhook';
+  }
+
+  // ============================================
+  // Storage
+  // ============================================
+
+  function readJson(key, fallback) {
+    try {
+      const data = localStorage.getItem(key);
+      return data ? JSON.parse(data) : fallback;
+    } catch (error) {
+      console.error('Failed to read notifications storage:', error);
+      return fallback;
+    }
+  }
+
+  function writeJson(key, data) {
+    try {
+      localStorage.setItem(key, JSON.stringify(data));
+    } catch (error) {
+      console.error('Failed to write notifications storage:', error);
+    }
+  }
+
+  function getOutbox() {
+    return readJson(STORAGE_KEYS.OUTBOX, []);
+  }
+
+  function clearOutbox() {
+    writeJson(STORAGE_KEYS.OUTBOX, []);
+  }
+
+  function updateOutboxEntry(id, updates) {
+    const outbox = getOutbox();
+    const entry = outbox.find(m => m.id === id);
+    if (entry) {
+      Object.assign(entry, updates);
+      writeJson(STORAGE_KEYS.OUTBOX, outbox);
+    }
+  }
+
+  // ============================================
+  // Templates
+  // ============================================
+
+  /**
+   * Default templates with any saved edits applied
+   */
+  function getTemplates() {
+    const saved = readJson(STORAGE_KEYS.TEMPLATES, {});
+    return Object.keys(DEFAULT_TEMPLATES).map(event => ({
+      event,
+      enabled: true,
+      ...DEFAULT_TEMPLATES[event],
+      ...saved[event],
+      customized: Boolean(saved[event])
+    }));
+  }
+
+  function getTemplate(event) {
+    return getTemplates().find(t => t.event === event) || null;
+  }
+
+  function saveTemplate(event, updates) {
+    if (!DEFAULT_TEMPLATES[event]) {
+      throw new Error(`Unknown notification event: ${event}`);
+    }
+    const saved = readJson(STORAGE_KEYS.TEMPLATES, {});
+    saved[event] = {
+      enabled: updates.enabled !== false,
+      subject: updates.subject || '',
+      emailBody: updates.emailBody || '',
+      smsBody: updates.smsBody || ''
+    };
+    writeJson(STORAGE_KEYS.TEMPLATES, saved);
+    return getTemplate(event);
+  }
+
+  function resetTemplate(event) {
+    const saved = readJson(STORAGE_KEYS.TEMPLATES, {});
+    delete saved[event];
+    writeJson(STORAGE_KEYS.TEMPLATES, saved);
+    return getTemplate(event);
+  }
+
+  /**
+   * Fill {{placeholders}}; unknown names are left as typed so mistakes show up in the outbox
+   */
+  function renderTemplate(text, data) {
+    return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+      Object.prototype.hasOwnProperty.call(data, name) ? data[name] : match);
+  }
+
+  function formatCurrency(amount) {
+    return new Intl.NumberFormat('en-CA', { style: 'currency', currency: 'CAD' }).format(amount || 0);
+  }
+
+  /**
+   * "Sat, Nov 15 at 9:00 AM", or "Sat, Nov 15" without a time (waitlist entries)
+   */
+  function formatDateTime(dateString, timeString) {
+    const date = new Date(`${dateString}T00:00:00`).toLocaleDateString('en-CA', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric'
+    });
+    if (!timeString) return date;
+
+    const [hours, minutes] = timeString.split(':').map(Number);
+    const period = hours >= 12 ? 'PM' : 'AM';
+    const displayHours = hours > 12 ? hours - 12 : (hours === 0 ? 12 : hours);
+    return `${date} at ${displayHours}:${String(minutes).padStart(2, '0')} ${period}`;
+  }
+
+  function getBusiness() {
+    const settings = readJson(STORAGE_KEYS.SETTINGS, {});
+    return {
+      businessName: settings.businessName || DEFAULT_BUSINESS.businessName,
+      email: settings.email || DEFAULT_BUSINESS.email,
+      phone: settings.phone || DEFAULT_BUSINESS.phone
+    };
+  }
+
+  function buildTemplateData(booking, business) {
+    const depositNotes = {
+      credit: `Your ${formatCurrency(booking.depositAmount)} deposit has been kept as credit toward your next booking.`,
+      forfeited: 'As this was within 48 hours of your appointment, the deposit is non-refundable.'
+    };
+
+    return {
+      customerName: booking.customer.name,
+      customerEmail: booking.customer.email,
+      customerPhone: booking.customer.phone,
+      serviceTitle: booking.variantLabel ? `${booking.serviceTitle} (${booking.variantLabel})` : booking.serviceTitle,
+      dateTime: formatDateTime(booking.date, booking.time),
+      previousDateTime: booking.rescheduledFrom
+        ? formatDateTime(booking.rescheduledFrom.date, booking.rescheduledFrom.time)
+        : '',
+      stylistName: booking.stylistName || 'any available stylist',
+      amountDue: formatCurrency(booking.amountDue),
+      depositAmount: formatCurrency(booking.depositAmount),
+      depositNote: depositNotes[booking.depositOutcome] || '',
+      notes: booking.notes || 'None',
+      cancelReason: booking.cancelReason || '',
+      manageLink: booking.manageToken
+        ? new URL(`index.html?manage=${encodeURIComponent(booking.manageToken)}`, window.location.href).href
+        : '',
+      offerLink: booking.offer
+        ? new URL(`index.html?waitlist=${encodeURIComponent(booking.offer.token)}`, window.location.href).href
+        : '',
+      offerExpires: booking.offer
+        ? new Date(booking.offer.expiresAt).toLocaleTimeString('en-CA', { hour: 'numeric', minute: '2-digit' })
+        : '',
+      businessName: business.businessName
+    };
+  }
+
+  // ============================================
+  // Sending
+  // ============================================
+
+  /**
+   * Random outbox id. The outbox is capped, so its length can't tell apart
+   * messages sent in the same millisecond.
+   */
+  function createMessageId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(8));
+    return `msg-${Date.now()}-${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * Add a message to the outbox and hand it to the active transport
+   */
+  function deliver(message) {
+    const outbox = getOutbox();
+    const entry = {
+      id: createMessageId(),
+      ...message,
+      transport: activeTransport,
+      status: 'queued',
+      createdAt: new Date().toISOString()
+    };
+    outbox.push(entry);
+    writeJson(STORAGE_KEYS.OUTBOX, outbox.slice(-OUTBOX_LIMIT));
+
+    return Promise.resolve()
+      .then(() => transports[activeTransport](entry))
+      .then(() => updateOutboxEntry(entry.id, { status: 'sent', sentAt: new Date().toISOString() }))
+      .catch(error => {
+        console.error('Notification failed:', error);
+        updateOutboxEntry(entry.id, { status: 'failed', error: error.message });
+      })
+      .then(() => entry.id);
+  }
+
+  /**
+   * Send an event's email and SMS for a booking. Returns one promise per message.
+   */
+  function notify(event, booking) {
+    const template = getTemplate(event);
+    if (!template || !template.enabled || !booking.customer) return [];
+
+    const business = getBusiness();
+    const data = buildTemplateData(booking, business);
+    const recipient = template.audience === 'owner' ? business : booking.customer;
+
+    const messages = [];
+    if (recipient.email && template.emailBody) {
+      messages.push({
+        channel: 'email',
+        to: recipient.email,
+        subject: renderTemplate(template.subject, data),
+        body: renderTemplate(template.emailBody, data)
+      });
+    }
+    if (recipient.phone && template.smsBody) {
+      messages.push({
+        channel: 'sms',
+        to: recipient.phone,
+        subject: null,
+        body: renderTemplate(template.smsBody, data)
+      });
+    }
+
+    return messages.map(message => deliver({ ...message, event, audience: template.audience, bookingId: booking.id }));
+  }
+
+  /**
+   * Send a one-off message written by staff, such as a reply to a contact
+   * form enquiry. Goes through the outbox and active transport like the rest.
+   */
+  function send(message) {
+    return deliver({
+      channel: message.channel,
+      to: message.to,
+      subject: message.channel === 'email' ? message.subject || '' : null,
+      body: message.body,
+      event: message.event || 'message_reply',
+      audience: 'customer',
+      bookingId: message.bookingId || null
+    });
+  }
+
+  /**
+   * Send the 24-hour reminder for confirmed bookings starting soon. Marks each
+   * booking with reminderSentAt; callers persist the bookings.
+   */
+  function sendDueReminders(bookings) {
+    const now = new Date();
+    let sent = 0;
+
+    bookings.forEach(booking => {
+      if (booking.status !== 'deposit_paid' || booking.reminderSentAt) return;
+
+      const hoursUntil = (new Date(`${booking.date}T${booking.time}:00`) - now) / (60 * 60 * 1000);
+      if (hoursUntil > 0 && hoursUntil <= REMINDER_HOURS) {
+        notify('reminder_24h', booking);
+        booking.reminderSentAt = now.toISOString();
+        sent += 1;
+      }
+    });
+
+    return sent;
+  }
+
+  window.SallyNotifications = {
+    PLACEHOLDERS,
+    notify,
+    send,
+    sendDueReminders,
+    getTemplates,
+    saveTemplate,
+    resetTemplate,
+    renderTemplate,
+    getOutbox,
+    clearOutbox,
+    registerTransport,
+    useTransport
+  };
+})();